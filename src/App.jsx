@@ -1,11 +1,17 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { SettingsProvider } from './context/SettingsContext';
 import { Layout } from './components/Layout';
 import { Login } from './pages/Login';
+import { LockScreen } from './pages/LockScreen';
 import { Overview } from './pages/Overview';
 import { Positions } from './pages/Positions';
 import { TradeHistory } from './pages/TradeHistory';
 import { Analytics } from './pages/Analytics';
+import { TaxReport } from './pages/TaxReport';
+import { Trade } from './pages/Trade';
+import { Orders } from './pages/Orders';
+import { Combined } from './pages/Combined';
 import { PageLoader } from './components/LoadingSpinner';
 
 const ProtectedRoute = ({ children }) => {
@@ -37,6 +43,17 @@ const PublicRoute = ({ children }) => {
 };
 
 const AppRoutes = () => {
+  const { isLoading, isLocked, needsSetup } = useAuth();
+
+  if (isLoading) {
+    return <PageLoader />;
+  }
+
+  // Nothing can be fetched until the saved keys are decrypted (or secured)
+  if (isLocked || needsSetup) {
+    return <LockScreen />;
+  }
+
   return (
     <Routes>
       <Route
@@ -56,8 +73,12 @@ const AppRoutes = () => {
       >
         <Route path="/" element={<Overview />} />
         <Route path="/positions" element={<Positions />} />
+        <Route path="/trade" element={<Trade />} />
+        <Route path="/orders" element={<Orders />} />
         <Route path="/history" element={<TradeHistory />} />
         <Route path="/analytics" element={<Analytics />} />
+        <Route path="/taxes" element={<TaxReport />} />
+        <Route path="/combined" element={<Combined />} />
       </Route>
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
@@ -67,7 +88,9 @@ const AppRoutes = () => {
 function App() {
   return (
     <AuthProvider>
-      <AppRoutes />
+      <SettingsProvider>
+        <AppRoutes />
+      </SettingsProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { LoadingSpinner } from './LoadingSpinner';
+import { PassphraseFields } from './PassphraseFields';
+
+// Credentials form shared by the login page and "Add account".
+// onSubmit(name, apiKey, apiSecret, isPaper, storage) may throw; its message is shown.
+// With askStorage the user also picks how keys are kept: storage is { passphrase } or { sessionOnly: true }.
+export const AccountForm = ({ onSubmit, submitLabel = 'Connect Account', onCancel, askStorage = false }) => {
+  const [name, setName] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [apiSecret, setApiSecret] = useState('');
+  const [isPaper, setIsPaper] = useState(true);
+  const [remember, setRemember] = useState(true);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (askStorage && remember && passphrase !== confirm) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const storage = askStorage ? (remember ? { passphrase } : { sessionOnly: true }) : undefined;
+      await onSubmit(name.trim(), apiKey.trim(), apiSecret.trim(), isPaper, storage);
+    } catch (err) {
+      setError(err.message || 'Failed to authenticate. Please check your credentials.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {/* Profile Name */}
+      <div>
+        <label htmlFor="accountName" className="block text-sm font-medium text-gray-300 mb-2">
+          Account Name <span className="text-gray-500">(optional)</span>
+        </label>
+        <input
+          type="text"
+          id="accountName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Swing Paper"
+          className="input"
+          autoComplete="off"
+        />
+      </div>
+
+      {/* API Key */}
+      <div>
+        <label htmlFor="apiKey" className="block text-sm font-medium text-gray-300 mb-2">
+          API Key ID
+        </label>
+        <input
+          type="text"
+          id="apiKey"
+          value={apiKey}
+          onChange={(e) => setApiKey(e.target.value)}
+          placeholder="PKXXXXXXXXXXXXXXXX"
+          className="input"
+          required
+          autoComplete="off"
+        />
+      </div>
+
+      {/* API Secret */}
+      <div>
+        <label htmlFor="apiSecret" className="block text-sm font-medium text-gray-300 mb-2">
+          API Secret Key
+        </label>
+        <input
+          type="password"
+          id="apiSecret"
+          value={apiSecret}
+          onChange={(e) => setApiSecret(e.target.value)}
+          placeholder="••••••••••••••••••••"
+          className="input"
+          required
+          autoComplete="off"
+        />
+      </div>
+
+      {/* Paper/Live Toggle */}
+      <div className="flex items-center gap-4 p-4 bg-dark-700 rounded-lg">
+        <label className="flex items-center gap-2 cursor-pointer flex-1">
+          <input
+            type="radio"
+            name="accountType"
+            checked={isPaper}
+            onChange={() => setIsPaper(true)}
+            className="w-4 h-4 accent-accent"
+          />
+          <span className="text-sm font-medium">Paper Trading</span>
+          <span className="text-xs text-gray-500">(Simulated)</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer flex-1">
+          <input
+            type="radio"
+            name="accountType"
+            checked={!isPaper}
+            onChange={() => setIsPaper(false)}
+            className="w-4 h-4 accent-accent"
+          />
+          <span className="text-sm font-medium">Live Trading</span>
+          <span className="text-xs text-gray-500">(Real $)</span>
+        </label>
+      </div>
+
+      {/* Key Storage */}
+      {askStorage && (
+        <div className="space-y-3">
+          <div className="flex items-center gap-4 p-4 bg-dark-700 rounded-lg">
+            <label className="flex items-center gap-2 cursor-pointer flex-1">
+              <input
+                type="radio"
+                name="keyStorage"
+                checked={remember}
+                onChange={() => setRemember(true)}
+                className="w-4 h-4 accent-accent"
+              />
+              <span className="text-sm font-medium">Remember</span>
+              <span className="text-xs text-gray-500">(Encrypted)</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer flex-1">
+              <input
+                type="radio"
+                name="keyStorage"
+                checked={!remember}
+                onChange={() => setRemember(false)}
+                className="w-4 h-4 accent-accent"
+              />
+              <span className="text-sm font-medium">Session Only</span>
+              <span className="text-xs text-gray-500">(Not saved)</span>
+            </label>
+          </div>
+          {remember && (
+            <PassphraseFields
+              passphrase={passphrase}
+              confirm={confirm}
+              onPassphraseChange={setPassphrase}
+              onConfirmChange={setConfirm}
+            />
+          )}
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2.5 rounded-lg text-sm font-medium bg-dark-700 hover:bg-dark-600 text-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        {/* Submit Button */}
+        <button
+          type="submit"
+          disabled={loading || !apiKey || !apiSecret}
+          className="btn-primary flex-1 flex items-center justify-center gap-2"
+        >
+          {loading ? (
+            <>
+              <LoadingSpinner size="sm" />
+              <span>Connecting...</span>
+            </>
+          ) : (
+            submitLabel
+          )}
+        </button>
+      </div>
+    </form>
+  );
+};
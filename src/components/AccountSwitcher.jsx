@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../hooks/useSettings';
+import { AccountForm } from './AccountForm';
+
+const AUTO_LOCK_OPTIONS = [
+  { value: 5, label: '5 min' },
+  { value: 15, label: '15 min' },
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+  { value: 0, label: 'Never' },
+];
+
+const ModeBadge = ({ isPaper }) => (
+  <span className={`px-1.5 py-0.5 text-[10px] font-medium rounded ${
+    isPaper ? 'bg-yellow-500/20 text-yellow-400' : 'bg-red-500/20 text-red-400'
+  }`}>
+    {isPaper ? 'PAPER' : 'LIVE'}
+  </span>
+);
+
+export const AccountSwitcher = () => {
+  const { credentials, profiles, storageMode, login, switchAccount, removeAccount } = useAuth();
+  const { settings, updateSettings } = useSettings();
+  const [open, setOpen] = useState(false);
+  const [adding, setAdding] = useState(false);
+
+  const handleSwitch = (profileId) => {
+    switchAccount(profileId);
+    setOpen(false);
+  };
+
+  const handleRemove = (profile) => {
+    if (window.confirm(`Remove "${profile.name}" from this browser?`)) {
+      removeAccount(profile.id);
+    }
+  };
+
+  const handleAdd = async (name, apiKey, apiSecret, isPaper) => {
+    await login(apiKey, apiSecret, isPaper, name);
+    setAdding(false);
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-gray-300 hover:bg-dark-700 transition-colors"
+      >
+        <span className="max-w-[120px] truncate">{credentials?.name}</span>
+        <span className="text-gray-500">▾</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-dark-700 border border-dark-500 rounded-lg shadow-xl z-50 py-1">
+          {profiles.map(profile => (
+            <div
+              key={profile.id}
+              className={`flex items-center justify-between px-3 py-2 gap-2 ${
+                profile.id === credentials?.id ? 'bg-dark-600' : 'hover:bg-dark-600'
+              }`}
+            >
+              <button onClick={() => handleSwitch(profile.id)} className="flex items-center gap-2 flex-1 text-left">
+                <span className="text-sm text-white truncate">{profile.name}</span>
+                <ModeBadge isPaper={profile.isPaper} />
+              </button>
+              <button
+                onClick={() => handleRemove(profile)}
+                className="text-gray-500 hover:text-loss text-sm px-1"
+                title="Remove account"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          <div className="border-t border-dark-500 mt-1 pt-1">
+            {profiles.length > 1 && (
+              <Link
+                to="/combined"
+                onClick={() => setOpen(false)}
+                className="block px-3 py-2 text-sm text-gray-300 hover:bg-dark-600"
+              >
+                Σ Combined view
+              </Link>
+            )}
+            <button
+              onClick={() => setAdding(true)}
+              className="block w-full text-left px-3 py-2 text-sm text-accent hover:bg-dark-600"
+            >
+              + Add account
+            </button>
+          </div>
+
+          <div className="border-t border-dark-500 mt-1 px-3 py-2 space-y-2">
+            <div className="text-xs text-gray-500">
+              {storageMode === 'encrypted' ? 'Keys encrypted on this device' : 'Session only — keys are not saved'}
+            </div>
+            <label className="flex items-center justify-between gap-2 text-sm text-gray-400">
+              {storageMode === 'encrypted' ? 'Auto-lock after' : 'Sign out after'}
+              <select
+                value={settings.autoLockMinutes}
+                onChange={(e) => updateSettings({ autoLockMinutes: parseInt(e.target.value, 10) })}
+                className="bg-dark-600 border border-dark-500 rounded px-2 py-1 text-sm text-gray-300"
+              >
+                {AUTO_LOCK_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+      )}
+
+      {adding && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/60 p-4">
+          <div className="card w-full max-w-md">
+            <h3 className="text-lg font-semibold text-white mb-4">Add Account</h3>
+            <AccountForm submitLabel="Add Account" onSubmit={handleAdd} onCancel={() => setAdding(false)} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,30 @@
+import { useState } from 'react';
+import { useSettings } from '../hooks/useSettings';
+
+export const BenchmarkInput = ({ className = '' }) => {
+  const { settings, updateSettings } = useSettings();
+  const [draft, setDraft] = useState(settings.benchmarkSymbol);
+
+  const commit = () => {
+    const symbol = draft.trim().toUpperCase();
+    if (symbol && symbol !== settings.benchmarkSymbol) {
+      updateSettings({ benchmarkSymbol: symbol });
+    }
+    setDraft(symbol || settings.benchmarkSymbol);
+  };
+
+  return (
+    <label className={`flex items-center gap-2 text-sm text-gray-400 ${className}`}>
+      vs
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        placeholder="SPY"
+        className="input w-24 uppercase"
+      />
+    </label>
+  );
+};
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Modal confirmation for anything that touches the account. The account mode is always shown
+// so a live order can't be mistaken for a paper one.
+export const ConfirmDialog = ({ title, confirmLabel = 'Confirm', danger = false, onConfirm, onCancel, children }) => {
+  const { credentials } = useAuth();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const isPaper = credentials?.isPaper;
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onConfirm();
+    } catch (err) {
+      setError(err.message || 'An error occurred');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/60 p-4">
+      <div className="card w-full max-w-md space-y-4">
+        <div
+          className={`px-3 py-2 rounded-lg text-sm font-semibold text-center ${
+            isPaper ? 'bg-yellow-500/20 text-yellow-400' : 'bg-red-500/20 text-red-400'
+          }`}
+        >
+          {isPaper ? 'PAPER ACCOUNT — simulated, no real money' : 'LIVE ACCOUNT — real money'}
+        </div>
+
+        <h3 className="text-lg font-semibold text-white">{title}</h3>
+        <div className="text-gray-300 text-sm">{children}</div>
+
+        {error && <p className="text-sm text-loss">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            disabled={submitting}
+            className="px-4 py-2.5 rounded-lg text-sm font-medium bg-dark-700 hover:bg-dark-600 text-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={submitting}
+            className={danger || !isPaper
+              ? 'px-4 py-2.5 rounded-lg text-sm font-medium bg-loss hover:bg-red-400 text-white transition-colors disabled:opacity-50'
+              : 'btn-primary text-sm'}
+          >
+            {submitting ? 'Submitting...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
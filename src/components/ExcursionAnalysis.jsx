@@ -0,0 +1,172 @@
+import { useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  Tooltip,
+  CartesianGrid,
+  Cell,
+  ReferenceLine,
+} from 'recharts';
+import { formatCurrency, formatDate, formatPercent } from '../hooks/useApi';
+import { useExcursions, MAX_EXCURSION_TRIPS } from '../hooks/useExcursions';
+import { getRoundTripJournal } from '../utils/journal';
+import { calculateRMultiple, getRiskPerShare, summarizeExcursions } from '../utils/excursions';
+
+const PROFIT_COLOR = '#22c55e';
+const LOSS_COLOR = '#ef4444';
+
+const axisProps = {
+  stroke: '#6b7280',
+  tick: { fill: '#9ca3af', fontSize: 12 },
+  axisLine: { stroke: '#2e2e3a' },
+};
+
+const ScatterTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+
+  return (
+    <div className="bg-dark-700 border border-dark-500 rounded-lg p-3 shadow-xl text-xs space-y-1">
+      <p className="text-white font-semibold">{point.symbol} <span className="text-gray-400 font-normal">{point.direction}</span></p>
+      <p className="text-gray-400">Closed {formatDate(point.exitDate)}</p>
+      <p className={point.pl >= 0 ? 'text-profit' : 'text-loss'}>P/L {formatCurrency(point.pl)} ({formatPercent(point.plPercent)})</p>
+      <p className="text-gray-300">MAE {formatPercent(point.maePercent)} · MFE {formatPercent(point.mfePercent)}</p>
+      {point.rMultiple !== null && (
+        <p className="text-gray-300">{point.rMultiple.toFixed(2)}R · MAE {point.maeR.toFixed(2)}R</p>
+      )}
+    </div>
+  );
+};
+
+const ExcursionScatter = ({ data, xKey, yKey, xLabel, yLabel, unit, referenceX }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-300 mb-2">{yLabel} vs {xLabel}</h4>
+    <ResponsiveContainer width="100%" height={280}>
+      <ScatterChart margin={{ top: 10, right: 10, bottom: 10, left: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#2e2e3a" />
+        <XAxis type="number" dataKey={xKey} name={xLabel} unit={unit} {...axisProps} />
+        <YAxis type="number" dataKey={yKey} name={yLabel} unit={unit} {...axisProps} />
+        <ZAxis range={[30, 30]} />
+        <ReferenceLine y={0} stroke="#4b5563" />
+        {referenceX !== undefined && (
+          <ReferenceLine x={referenceX} stroke="#eab308" strokeDasharray="4 4" label={{ value: 'Stop', fill: '#eab308', fontSize: 11 }} />
+        )}
+        <Tooltip content={<ScatterTooltip />} cursor={{ strokeDasharray: '3 3' }} />
+        <Scatter data={data}>
+          {data.map(point => (
+            <Cell key={point.id} fill={point.pl >= 0 ? PROFIT_COLOR : LOSS_COLOR} fillOpacity={0.7} />
+          ))}
+        </Scatter>
+      </ScatterChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+const Stat = ({ label, value, note }) => (
+  <div>
+    <div className="text-gray-400 text-sm mb-1">{label}</div>
+    <div className="text-xl font-semibold text-white">{value}</div>
+    {note && <div className="text-xs text-gray-500">{note}</div>}
+  </div>
+);
+
+const formatOptional = (value, format) => (value === null ? '-' : format(value));
+
+// MAE/MFE of each round trip from price bars over its holding window, and R-multiples where
+// the journal has a planned stop. Bars are only requested when asked for.
+export const ExcursionAnalysis = ({ roundTrips, journal }) => {
+  const { excursions, progress, load, cancel } = useExcursions();
+
+  const points = useMemo(() => roundTrips
+    .filter(rt => excursions[rt.id])
+    .map(rt => {
+      const excursion = excursions[rt.id];
+      const { plannedStop } = getRoundTripJournal(journal, rt);
+      const risk = getRiskPerShare(rt, plannedStop);
+      return {
+        id: rt.id,
+        roundTrip: rt,
+        excursion,
+        symbol: rt.symbol,
+        direction: rt.direction,
+        exitDate: rt.exitDate,
+        pl: rt.pl,
+        plPercent: rt.plPercent,
+        maePercent: excursion.maePercent,
+        mfePercent: excursion.mfePercent,
+        rMultiple: calculateRMultiple(rt, plannedStop),
+        maeR: risk ? excursion.maePerShare / risk : null,
+      };
+    }), [roundTrips, excursions, journal]);
+
+  const summary = useMemo(() => summarizeExcursions(points), [points]);
+  const rPoints = points.filter(point => point.rMultiple !== null);
+  const missing = roundTrips.filter(rt => !(rt.id in excursions)).length;
+  const toLoad = Math.min(missing, MAX_EXCURSION_TRIPS);
+
+  return (
+    <div className="card space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Excursion Analysis</h3>
+          <p className="text-sm text-gray-500">
+            Worst (MAE) and best (MFE) open P/L during each trade, from price bars over its holding window
+          </p>
+        </div>
+        {progress ? (
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-gray-400">Loading bars {progress.done} / {progress.total}</span>
+            <button onClick={cancel} className="text-sm text-gray-400 hover:text-white transition-colors">Cancel</button>
+          </div>
+        ) : toLoad > 0 && (
+          <button onClick={() => load(roundTrips)} className="btn-primary text-sm">
+            Analyze {toLoad} {points.length > 0 ? 'more ' : ''}trade{toLoad !== 1 ? 's' : ''}
+          </button>
+        )}
+      </div>
+
+      {missing > MAX_EXCURSION_TRIPS && !progress && (
+        <p className="text-xs text-gray-500">
+          Each trade needs its own bar request, so the {MAX_EXCURSION_TRIPS} most recent are analyzed at a time.
+        </p>
+      )}
+
+      {points.length > 0 ? (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Stat label="Trades Analyzed" value={summary.analyzed} note={`${summary.withStops} with a planned stop`} />
+            <Stat
+              label="Avg MAE Winners / Losers"
+              value={`${formatOptional(summary.avgMaeWinners, v => `${v.toFixed(2)}%`)} / ${formatOptional(summary.avgMaeLosers, v => `${v.toFixed(2)}%`)}`}
+            />
+            <Stat
+              label="Profit Captured"
+              value={formatOptional(summary.avgCapture, v => `${v.toFixed(0)}%`)}
+              note="Winners' exit P/L as a share of their MFE"
+            />
+            <Stat
+              label="Avg R-Multiple"
+              value={formatOptional(summary.avgR, v => `${v.toFixed(2)}R`)}
+              note={summary.withStops > 0 ? `${summary.winnersPastStop} winners went past their stop` : 'Add planned stops in the journal'}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ExcursionScatter data={points} xKey="maePercent" yKey="plPercent" xLabel="MAE" yLabel="Final P/L" unit="%" />
+            <ExcursionScatter data={points} xKey="mfePercent" yKey="plPercent" xLabel="MFE" yLabel="Final P/L" unit="%" />
+          </div>
+
+          {rPoints.length > 0 && (
+            <ExcursionScatter data={rPoints} xKey="maeR" yKey="rMultiple" xLabel="MAE" yLabel="R-Multiple" unit="R" referenceX={-1} />
+          )}
+        </>
+      ) : (
+        !progress && <p className="text-gray-500">No excursions loaded for this range yet</p>
+      )}
+    </div>
+  );
+};
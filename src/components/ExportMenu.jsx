@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { exportRows } from '../utils/exportData';
+
+// datasets: [{ id, label, name, rows, columns }]
+export const ExportMenu = ({ datasets }) => {
+  const [open, setOpen] = useState(false);
+
+  const handleExport = (dataset, format) => {
+    exportRows(format, dataset.name, dataset.rows, dataset.columns);
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-4 py-2.5 rounded-lg text-sm font-medium bg-dark-700 hover:bg-dark-600 text-gray-300 transition-colors flex items-center gap-2"
+      >
+        <span>⬇️</span>
+        Export
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-dark-700 border border-dark-500 rounded-lg shadow-xl z-40 py-1">
+          {datasets.map(dataset => (
+            <div key={dataset.id} className="flex items-center justify-between px-3 py-2 gap-2">
+              <div>
+                <div className="text-sm text-white">{dataset.label}</div>
+                <div className="text-xs text-gray-500">{dataset.rows.length} rows</div>
+              </div>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => handleExport(dataset, 'csv')}
+                  disabled={dataset.rows.length === 0}
+                  className="px-2 py-1 rounded text-xs font-medium bg-dark-600 hover:bg-accent text-gray-300 hover:text-white transition-colors disabled:opacity-50"
+                >
+                  CSV
+                </button>
+                <button
+                  onClick={() => handleExport(dataset, 'json')}
+                  disabled={dataset.rows.length === 0}
+                  className="px-2 py-1 rounded text-xs font-medium bg-dark-600 hover:bg-accent text-gray-300 hover:text-white transition-colors disabled:opacity-50"
+                >
+                  JSON
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import { normalizeTag, readScreenshot, MAX_SCREENSHOTS } from '../utils/journal';
+
+const parsePrice = (value) => (value === '' ? null : parseFloat(value));
+
+const parseTags = (value) => value.split(',').map(normalizeTag).filter(Boolean);
+
+// Edit the journal entry of one order: tags, notes, planned stop/target and screenshots
+export const JournalDialog = ({ title, subtitle, entry, tagSuggestions = [], onSave, onClose }) => {
+  const [tags, setTags] = useState(entry.tags);
+  const [tagInput, setTagInput] = useState('');
+  const [notes, setNotes] = useState(entry.notes);
+  const [plannedStop, setPlannedStop] = useState(entry.plannedStop ?? '');
+  const [plannedTarget, setPlannedTarget] = useState(entry.plannedTarget ?? '');
+  const [screenshots, setScreenshots] = useState(entry.screenshots);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const addTags = (value) => {
+    const added = parseTags(value);
+    if (added.length > 0) setTags(prev => [...new Set([...prev, ...added])]);
+    setTagInput('');
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTags(tagInput);
+    }
+  };
+
+  const handleScreenshots = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_SCREENSHOTS - screenshots.length);
+    e.target.value = '';
+    setError(null);
+    try {
+      const added = await Promise.all(files.map(async file => ({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        name: file.name,
+        dataUrl: await readScreenshot(file),
+      })));
+      setScreenshots(prev => [...prev, ...added]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = () => {
+    setError(null);
+    try {
+      onSave({
+        // Include a tag still being typed
+        tags: [...new Set([...tags, ...parseTags(tagInput)])],
+        notes: notes.trim(),
+        plannedStop: parsePrice(plannedStop),
+        plannedTarget: parsePrice(plannedTarget),
+        screenshots,
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const suggestions = tagSuggestions.filter(tag => !tags.includes(tag)).slice(0, 8);
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/60 p-4">
+      <div className="card w-full max-w-lg max-h-[90vh] overflow-y-auto space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">{title}</h3>
+          {subtitle && <p className="text-sm text-gray-500">{subtitle}</p>}
+        </div>
+
+        {/* Tags */}
+        <div>
+          <label htmlFor="journalTags" className="block text-sm text-gray-400 mb-2">Tags</label>
+          <input
+            id="journalTags"
+            type="text"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={handleTagKeyDown}
+            onBlur={() => addTags(tagInput)}
+            placeholder="breakout, earnings..."
+            className="input"
+          />
+          <div className="flex flex-wrap gap-1 mt-2">
+            {tags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => setTags(prev => prev.filter(t => t !== tag))}
+                className="px-2 py-0.5 rounded text-xs font-medium bg-accent/20 text-accent hover:bg-accent/30 transition-colors"
+                title="Remove tag"
+              >
+                #{tag} ✕
+              </button>
+            ))}
+            {suggestions.map(tag => (
+              <button
+                key={tag}
+                onClick={() => setTags(prev => [...prev, tag])}
+                className="px-2 py-0.5 rounded text-xs font-medium bg-dark-600 text-gray-400 hover:text-white transition-colors"
+              >
+                + {tag}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Plan */}
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="journalStop" className="block text-sm text-gray-400 mb-2">Planned Stop</label>
+            <input
+              id="journalStop"
+              type="number"
+              step="any"
+              min="0"
+              value={plannedStop}
+              onChange={(e) => setPlannedStop(e.target.value)}
+              className="input"
+            />
+          </div>
+          <div>
+            <label htmlFor="journalTarget" className="block text-sm text-gray-400 mb-2">Planned Target</label>
+            <input
+              id="journalTarget"
+              type="number"
+              step="any"
+              min="0"
+              value={plannedTarget}
+              onChange={(e) => setPlannedTarget(e.target.value)}
+              className="input"
+            />
+          </div>
+        </div>
+
+        {/* Notes */}
+        <div>
+          <label htmlFor="journalNotes" className="block text-sm text-gray-400 mb-2">Notes</label>
+          <textarea
+            id="journalNotes"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={4}
+            placeholder="Setup, reasoning, what went right or wrong..."
+            className="input resize-y"
+          />
+        </div>
+
+        {/* Screenshots */}
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">
+            Screenshots <span className="text-gray-600">({screenshots.length}/{MAX_SCREENSHOTS})</span>
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {screenshots.map(shot => (
+              <div key={shot.id} className="relative">
+                <button onClick={() => setPreview(shot)} title={shot.name}>
+                  <img src={shot.dataUrl} alt={shot.name} className="w-24 h-16 object-cover rounded border border-dark-500" />
+                </button>
+                <button
+                  onClick={() => setScreenshots(prev => prev.filter(s => s.id !== shot.id))}
+                  className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-dark-600 text-gray-300 hover:text-loss text-xs"
+                  title="Remove screenshot"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {screenshots.length < MAX_SCREENSHOTS && (
+              <label className="w-24 h-16 flex items-center justify-center rounded border border-dashed border-dark-500 text-gray-500 hover:text-white text-sm cursor-pointer">
+                + Add
+                <input type="file" accept="image/*" multiple onChange={handleScreenshots} className="hidden" />
+              </label>
+            )}
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-loss">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2.5 rounded-lg text-sm font-medium bg-dark-700 hover:bg-dark-600 text-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+          <button onClick={handleSave} className="btn-primary text-sm">
+            Save
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <button
+          onClick={() => setPreview(null)}
+          className="fixed inset-0 z-[70] flex items-center justify-center bg-black/80 p-8"
+        >
+          <img src={preview.dataUrl} alt={preview.name} className="max-w-full max-h-full rounded-lg" />
+        </button>
+      )}
+    </div>
+  );
+};
@@ -1,15 +1,25 @@
 import { NavLink, Outlet } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../hooks/useSettings';
+import { useAutoLock } from '../hooks/useAutoLock';
+import { AccountSwitcher } from './AccountSwitcher';
 
 const navItems = [
   { path: '/', label: 'Overview', icon: '📊' },
   { path: '/positions', label: 'Positions', icon: '📈' },
+  { path: '/trade', label: 'Trade', icon: '⚡' },
+  { path: '/orders', label: 'Orders', icon: '📝' },
   { path: '/history', label: 'History', icon: '📋' },
   { path: '/analytics', label: 'Analytics', icon: '🎯' },
+  { path: '/taxes', label: 'Taxes', icon: '🧾' },
 ];
 
 export const Layout = () => {
-  const { logout, credentials } = useAuth();
+  const { logout, lock, credentials, storageMode } = useAuth();
+  const { settings } = useSettings();
+
+  // Encrypted keys go back behind the lock screen; session-only keys are simply dropped
+  useAutoLock(settings.autoLockMinutes, lock);
 
   return (
     <div className="min-h-screen flex flex-col">
@@ -49,13 +59,25 @@ export const Layout = () => {
               ))}
             </nav>
 
-            {/* Logout */}
-            <button
-              onClick={logout}
-              className="px-3 sm:px-4 py-2 text-sm text-gray-400 hover:text-white transition-colors"
-            >
-              Logout
-            </button>
+            {/* Account Switcher + Logout */}
+            <div className="flex items-center gap-1">
+              <AccountSwitcher />
+              {storageMode === 'encrypted' && (
+                <button
+                  onClick={lock}
+                  className="px-2 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+                  title="Lock"
+                >
+                  🔒
+                </button>
+              )}
+              <button
+                onClick={logout}
+                className="px-3 sm:px-4 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                Logout
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -95,7 +117,8 @@ export const Layout = () => {
 
       {/* Main Content */}
       <main className="flex-1 max-w-7xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 pb-20 md:pb-6">
-        <Outlet />
+        {/* Remount pages on account switch so nothing from the previous account lingers */}
+        <Outlet key={credentials?.id} />
       </main>
 
       {/* Footer - Hidden on mobile */}
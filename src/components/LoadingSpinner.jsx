@@ -12,8 +12,19 @@ export const LoadingSpinner = ({ size = 'md', className = '' }) => {
   );
 };
 
-export const PageLoader = () => (
-  <div className="flex items-center justify-center min-h-[400px]">
+export const PageLoader = ({ message }) => (
+  <div className="flex flex-col items-center justify-center gap-4 min-h-[400px]">
     <LoadingSpinner size="lg" />
+    {message && <p className="text-sm text-gray-400">{message}</p>}
   </div>
 );
+
+// Page loader for order history downloads; progress is { loaded, cursor } from getAllClosedOrders
+export const OrderSyncLoader = ({ progress }) => {
+  if (!progress) return <PageLoader message="Loading order history..." />;
+
+  const through = progress.cursor
+    ? ` through ${new Date(progress.cursor).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`
+    : '';
+  return <PageLoader message={`Downloaded ${progress.loaded.toLocaleString('en-US')} orders${through}...`} />;
+};
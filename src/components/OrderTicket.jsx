@@ -0,0 +1,239 @@
+import { useState } from 'react';
+import { createOrder } from '../services/alpacaApi';
+import { ConfirmDialog } from './ConfirmDialog';
+import {
+  ORDER_CLASSES,
+  TIME_IN_FORCE,
+  EMPTY_ORDER_FORM,
+  getAllowedTypes,
+  needsLimitPrice,
+  needsStopPrice,
+  validateOrderForm,
+  buildOrderRequest,
+  describeOrderRequest,
+} from '../utils/orders';
+
+const Field = ({ label, children }) => (
+  <label className="block">
+    <span className="block text-xs text-gray-400 mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+const PriceInput = ({ value, onChange, placeholder = '0.00' }) => (
+  <input
+    type="number"
+    min="0"
+    step="any"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={placeholder}
+    className="input font-mono"
+  />
+);
+
+export const OrderTicket = ({ initialSymbol = '', onSubmitted }) => {
+  const [form, setForm] = useState({ ...EMPTY_ORDER_FORM, symbol: initialSymbol });
+  const [formError, setFormError] = useState(null);
+  const [pendingOrder, setPendingOrder] = useState(null);
+  const [lastSubmitted, setLastSubmitted] = useState(null);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleClassChange = (orderClass) => {
+    const allowed = getAllowedTypes(orderClass);
+    update({
+      orderClass,
+      type: allowed.some(t => t.id === form.type) ? form.type : allowed[0].id,
+      extendedHours: orderClass === 'simple' ? form.extendedHours : false,
+    });
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    const error = validateOrderForm(form);
+    setFormError(error);
+    if (!error) setPendingOrder(buildOrderRequest(form));
+  };
+
+  const handleConfirm = async () => {
+    const order = await createOrder(pendingOrder);
+    setPendingOrder(null);
+    setLastSubmitted(order);
+    setForm(prev => ({ ...EMPTY_ORDER_FORM, symbol: prev.symbol, side: prev.side }));
+    onSubmitted?.(order);
+  };
+
+  const isOco = form.orderClass === 'oco';
+  const showExits = form.orderClass !== 'simple';
+
+  return (
+    <div className="card">
+      <h3 className="font-semibold text-white mb-4">Order Ticket</h3>
+
+      <form onSubmit={handleReview} className="space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Symbol">
+            <input
+              type="text"
+              value={form.symbol}
+              onChange={(e) => update({ symbol: e.target.value.toUpperCase() })}
+              placeholder="AAPL"
+              className="input uppercase"
+            />
+          </Field>
+          <Field label="Quantity">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.qty}
+              onChange={(e) => update({ qty: e.target.value })}
+              placeholder="0"
+              className="input font-mono"
+            />
+          </Field>
+        </div>
+
+        <div className="flex gap-1 bg-dark-700 p-1 rounded-lg">
+          {['buy', 'sell'].map(side => (
+            <button
+              key={side}
+              type="button"
+              onClick={() => update({ side })}
+              className={`flex-1 py-2 rounded-md text-sm font-semibold uppercase transition-colors ${
+                form.side === side
+                  ? side === 'buy' ? 'bg-profit text-white' : 'bg-loss text-white'
+                  : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {side}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-1">
+          {ORDER_CLASSES.map(orderClass => (
+            <button
+              key={orderClass.id}
+              type="button"
+              onClick={() => handleClassChange(orderClass.id)}
+              className={`tab ${form.orderClass === orderClass.id ? 'active' : ''}`}
+            >
+              {orderClass.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          {!isOco && (
+            <Field label={form.orderClass === 'bracket' ? 'Entry Type' : 'Order Type'}>
+              <select value={form.type} onChange={(e) => update({ type: e.target.value })} className="input">
+                {getAllowedTypes(form.orderClass).map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+            </Field>
+          )}
+          <Field label="Time in Force">
+            <select value={form.timeInForce} onChange={(e) => update({ timeInForce: e.target.value })} className="input">
+              {TIME_IN_FORCE.map(tif => (
+                <option key={tif.id} value={tif.id}>{tif.label}</option>
+              ))}
+            </select>
+          </Field>
+        </div>
+
+        {!isOco && (needsStopPrice(form.type) || needsLimitPrice(form.type) || form.type === 'trailing_stop') && (
+          <div className="grid grid-cols-2 gap-3">
+            {needsStopPrice(form.type) && (
+              <Field label="Stop Price">
+                <PriceInput value={form.stopPrice} onChange={(stopPrice) => update({ stopPrice })} />
+              </Field>
+            )}
+            {needsLimitPrice(form.type) && (
+              <Field label="Limit Price">
+                <PriceInput value={form.limitPrice} onChange={(limitPrice) => update({ limitPrice })} />
+              </Field>
+            )}
+            {form.type === 'trailing_stop' && (
+              <>
+                <Field label="Trail By">
+                  <select value={form.trailType} onChange={(e) => update({ trailType: e.target.value })} className="input">
+                    <option value="price">Dollars</option>
+                    <option value="percent">Percent</option>
+                  </select>
+                </Field>
+                <Field label={form.trailType === 'percent' ? 'Trail (%)' : 'Trail ($)'}>
+                  <PriceInput value={form.trailValue} onChange={(trailValue) => update({ trailValue })} />
+                </Field>
+              </>
+            )}
+          </div>
+        )}
+
+        {showExits && (
+          <div className="space-y-3 border-t border-dark-600 pt-4">
+            <p className="text-xs text-gray-500">
+              {isOco
+                ? 'Exit an existing position: whichever leg fills first cancels the other.'
+                : 'Exit legs are submitted once the entry fills.'}
+            </p>
+            <Field label="Take Profit (limit)">
+              <PriceInput value={form.takeProfitPrice} onChange={(takeProfitPrice) => update({ takeProfitPrice })} />
+            </Field>
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="Stop Loss (stop)">
+                <PriceInput value={form.stopLossPrice} onChange={(stopLossPrice) => update({ stopLossPrice })} />
+              </Field>
+              <Field label="Stop Loss Limit (optional)">
+                <PriceInput
+                  value={form.stopLossLimitPrice}
+                  onChange={(stopLossLimitPrice) => update({ stopLossLimitPrice })}
+                  placeholder="Market"
+                />
+              </Field>
+            </div>
+          </div>
+        )}
+
+        {form.orderClass === 'simple' && form.type === 'limit' && (
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            <input
+              type="checkbox"
+              checked={form.extendedHours}
+              onChange={(e) => update({ extendedHours: e.target.checked })}
+            />
+            Extended hours
+          </label>
+        )}
+
+        {formError && <p className="text-sm text-loss">{formError}</p>}
+        {lastSubmitted && !formError && (
+          <p className="text-sm text-profit">
+            Submitted {lastSubmitted.side} {lastSubmitted.qty} {lastSubmitted.symbol} ({lastSubmitted.status})
+          </p>
+        )}
+
+        <button type="submit" className="btn-primary w-full">
+          Review Order
+        </button>
+      </form>
+
+      {pendingOrder && (
+        <ConfirmDialog
+          title="Confirm Order"
+          confirmLabel={`Submit ${pendingOrder.side === 'buy' ? 'Buy' : 'Sell'}`}
+          onConfirm={handleConfirm}
+          onCancel={() => setPendingOrder(null)}
+        >
+          <ul className="space-y-1">
+            {describeOrderRequest(pendingOrder).map(line => (
+              <li key={line}>{line}</li>
+            ))}
+          </ul>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
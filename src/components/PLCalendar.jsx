@@ -0,0 +1,209 @@
+import { useState, useMemo } from 'react';
+import { formatCurrency, formatDate, formatDateTime, formatNumber } from '../hooks/useApi';
+import { buildCalendarYears, getDayKey, getPLLevel, getPLScale } from '../utils/plCalendar';
+
+const PROFIT_SHADES = ['bg-profit/25', 'bg-profit/45', 'bg-profit/70', 'bg-profit'];
+const LOSS_SHADES = ['bg-loss/25', 'bg-loss/45', 'bg-loss/70', 'bg-loss'];
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const CELL_SIZE = 'w-3 h-3';
+
+const cellClass = (cell, scale) => {
+  if (cell.pl === null) return 'bg-dark-700';
+  const level = getPLLevel(cell.pl, scale);
+  if (level === 0) return 'bg-dark-500';
+  return (cell.pl > 0 ? PROFIT_SHADES : LOSS_SHADES)[level - 1];
+};
+
+const cellTitle = (cell) => {
+  const date = formatDate(cell.date);
+  if (cell.trades === 0) return `${date}: no closed trades`;
+  return `${date}: ${cell.pl >= 0 ? '+' : ''}${formatCurrency(cell.pl)} on ${cell.trades} trade${cell.trades !== 1 ? 's' : ''}`;
+};
+
+const CalendarYear = ({ calendar, scale, selectedDay, onSelect }) => (
+  <div>
+    <div className="flex items-baseline justify-between mb-2">
+      <h4 className="text-sm font-semibold text-gray-300">{calendar.year}</h4>
+      <span className="text-xs text-gray-500">
+        {calendar.tradingDays} trading day{calendar.tradingDays !== 1 ? 's' : ''} ·{' '}
+        <span className={calendar.totalPL >= 0 ? 'text-profit' : 'text-loss'}>
+          {calendar.totalPL >= 0 ? '+' : ''}{formatCurrency(calendar.totalPL)}
+        </span>
+      </span>
+    </div>
+    <div className="overflow-x-auto">
+      <div className="inline-flex gap-1">
+        <div className="flex flex-col gap-[3px] pt-4 pr-1">
+          {WEEKDAY_LABELS.map((label, idx) => (
+            <div key={idx} className="h-3 text-[10px] leading-3 text-gray-500">{label}</div>
+          ))}
+        </div>
+        <div>
+          <div className="relative h-4">
+            {calendar.months.map(month => (
+              <span
+                key={month.label}
+                className="absolute text-[10px] text-gray-500"
+                style={{ left: `${month.week * 15}px` }}
+              >
+                {month.label}
+              </span>
+            ))}
+          </div>
+          <div className="flex gap-[3px]">
+            {calendar.weeks.map((week, weekIdx) => (
+              <div key={weekIdx} className="flex flex-col gap-[3px]">
+                {week.map((cell, dayIdx) => (
+                  cell ? (
+                    <button
+                      key={cell.day}
+                      onClick={() => onSelect(cell.day === selectedDay ? null : cell.day)}
+                      className={`${CELL_SIZE} rounded-sm ${cellClass(cell, scale)} ${
+                        cell.day === selectedDay ? 'ring-2 ring-accent' : 'hover:ring-1 hover:ring-gray-400'
+                      }`}
+                      title={cellTitle(cell)}
+                    />
+                  ) : (
+                    <div key={dayIdx} className={CELL_SIZE} />
+                  )
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+const DayDetail = ({ day, roundTrips, orders, onClose }) => {
+  const dayTrips = roundTrips.filter(rt => getDayKey(rt.exitDate) === day);
+  const dayOrders = orders
+    .filter(order => getDayKey(order.filled_at) === day)
+    .sort((a, b) => new Date(a.filled_at) - new Date(b.filled_at));
+  const totalPL = dayTrips.reduce((sum, rt) => sum + rt.pl, 0);
+
+  return (
+    <div className="border-t border-dark-600 pt-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="font-semibold text-white">{formatDate(`${day}T12:00:00`)}</h4>
+          <p className="text-sm text-gray-500">
+            {dayTrips.length} round trip{dayTrips.length !== 1 ? 's' : ''} closed ·{' '}
+            <span className={totalPL >= 0 ? 'text-profit' : 'text-loss'}>
+              {totalPL >= 0 ? '+' : ''}{formatCurrency(totalPL)}
+            </span>
+          </p>
+        </div>
+        <button onClick={onClose} className="text-sm text-gray-400 hover:text-white transition-colors">Close</button>
+      </div>
+
+      {dayTrips.length > 0 && (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Symbol</th>
+                <th>Direction</th>
+                <th className="text-right">Qty</th>
+                <th className="text-right">Entry</th>
+                <th className="text-right">Exit</th>
+                <th className="text-right">P/L</th>
+                <th>Opened</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dayTrips.map(rt => (
+                <tr key={rt.id}>
+                  <td className="font-semibold text-white">{rt.symbol}</td>
+                  <td className="text-gray-400 text-sm">{rt.direction}</td>
+                  <td className="text-right font-mono">{formatNumber(rt.qty, rt.qty % 1 === 0 ? 0 : 4)}</td>
+                  <td className="text-right font-mono">{formatCurrency(rt.entryPrice)}</td>
+                  <td className="text-right font-mono">{formatCurrency(rt.exitPrice)}</td>
+                  <td className={`text-right font-mono ${rt.pl >= 0 ? 'text-profit' : 'text-loss'}`}>
+                    {rt.pl >= 0 ? '+' : ''}{formatCurrency(rt.pl)}
+                  </td>
+                  <td className="text-gray-400 text-sm">{formatDateTime(rt.entryDate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {dayOrders.length > 0 ? (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Side</th>
+                <th>Type</th>
+                <th className="text-right">Qty</th>
+                <th className="text-right">Filled Price</th>
+                <th>Filled At</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dayOrders.map(order => {
+                const qty = parseFloat(order.filled_qty);
+                return (
+                  <tr key={order.id}>
+                    <td className="font-semibold text-white">{order.symbol}</td>
+                    <td className={order.side === 'buy' ? 'text-profit' : 'text-loss'}>{order.side.toUpperCase()}</td>
+                    <td className="text-gray-400 text-sm">{order.type}</td>
+                    <td className="text-right font-mono">{formatNumber(qty, qty % 1 === 0 ? 0 : 4)}</td>
+                    <td className="text-right font-mono">{formatCurrency(order.filled_avg_price)}</td>
+                    <td className="text-gray-400 text-sm">{formatDateTime(order.filled_at)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No orders filled this day</p>
+      )}
+    </div>
+  );
+};
+
+// Calendar heatmap of realized P/L by closing day; click a day for its round trips and fills
+export const PLCalendar = ({ dailyPL, roundTrips, orders }) => {
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const years = useMemo(() => buildCalendarYears(dailyPL), [dailyPL]);
+  const scale = useMemo(() => getPLScale(dailyPL), [dailyPL]);
+
+  return (
+    <div className="space-y-6">
+      {years.map(calendar => (
+        <CalendarYear
+          key={calendar.year}
+          calendar={calendar}
+          scale={scale}
+          selectedDay={selectedDay}
+          onSelect={setSelectedDay}
+        />
+      ))}
+
+      <div className="flex items-center gap-1 text-[10px] text-gray-500">
+        <span className="mr-1">Loss</span>
+        {[...LOSS_SHADES].reverse().map(shade => <div key={shade} className={`${CELL_SIZE} rounded-sm ${shade}`} />)}
+        <div className={`${CELL_SIZE} rounded-sm bg-dark-500`} />
+        {PROFIT_SHADES.map(shade => <div key={shade} className={`${CELL_SIZE} rounded-sm ${shade}`} />)}
+        <span className="ml-1">Profit</span>
+      </div>
+
+      {selectedDay && (
+        <DayDetail
+          day={selectedDay}
+          roundTrips={roundTrips}
+          orders={orders}
+          onClose={() => setSelectedDay(null)}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,39 @@
+import { MIN_PASSPHRASE_LENGTH } from '../services/credentialStore';
+
+// New passphrase + confirmation; the parent checks that they match before submitting
+export const PassphraseFields = ({ passphrase, confirm, onPassphraseChange, onConfirmChange }) => (
+  <div className="space-y-3">
+    <div>
+      <label htmlFor="passphrase" className="block text-sm font-medium text-gray-300 mb-2">
+        Passphrase
+      </label>
+      <input
+        type="password"
+        id="passphrase"
+        value={passphrase}
+        onChange={(e) => onPassphraseChange(e.target.value)}
+        placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+        className="input"
+        autoComplete="new-password"
+        required
+      />
+    </div>
+    <div>
+      <label htmlFor="passphraseConfirm" className="block text-sm font-medium text-gray-300 mb-2">
+        Confirm Passphrase
+      </label>
+      <input
+        type="password"
+        id="passphraseConfirm"
+        value={confirm}
+        onChange={(e) => onConfirmChange(e.target.value)}
+        className="input"
+        autoComplete="new-password"
+        required
+      />
+    </div>
+    <p className="text-xs text-gray-500">
+      The passphrase never leaves this browser and can't be recovered. If you forget it, add your API keys again.
+    </p>
+  </div>
+);
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { replaceOrder } from '../services/alpacaApi';
+import { ConfirmDialog } from './ConfirmDialog';
+import { TIME_IN_FORCE, needsLimitPrice, needsStopPrice, buildReplaceRequest } from '../utils/orders';
+
+// Edit a working order in place; Alpaca cancels it and returns the replacement
+export const ReplaceOrderDialog = ({ order, onReplaced, onCancel }) => {
+  const [changes, setChanges] = useState({
+    qty: order.qty,
+    timeInForce: order.time_in_force,
+    limitPrice: order.limit_price || '',
+    stopPrice: order.stop_price || '',
+    trail: order.trail_percent ?? order.trail_price ?? '',
+  });
+
+  const update = (field) => (e) => setChanges(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleConfirm = async () => {
+    const request = buildReplaceRequest(order, changes);
+    if (Object.keys(request).length === 0) {
+      throw new Error('Nothing to change');
+    }
+    const replacement = await replaceOrder(order.id, request);
+    onReplaced?.(replacement);
+  };
+
+  return (
+    <ConfirmDialog
+      title={`Replace ${order.side} ${order.symbol} ${order.type.replace('_', ' ')}`}
+      confirmLabel="Replace Order"
+      onConfirm={handleConfirm}
+      onCancel={onCancel}
+    >
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Quantity</span>
+          <input type="number" min="0" step="any" value={changes.qty} onChange={update('qty')} className="input font-mono" />
+        </label>
+        <label className="block">
+          <span className="block text-xs text-gray-400 mb-1">Time in Force</span>
+          <select value={changes.timeInForce} onChange={update('timeInForce')} className="input">
+            {TIME_IN_FORCE.map(tif => (
+              <option key={tif.id} value={tif.id}>{tif.label}</option>
+            ))}
+          </select>
+        </label>
+        {needsStopPrice(order.type) && (
+          <label className="block">
+            <span className="block text-xs text-gray-400 mb-1">Stop Price</span>
+            <input type="number" min="0" step="any" value={changes.stopPrice} onChange={update('stopPrice')} className="input font-mono" />
+          </label>
+        )}
+        {needsLimitPrice(order.type) && (
+          <label className="block">
+            <span className="block text-xs text-gray-400 mb-1">Limit Price</span>
+            <input type="number" min="0" step="any" value={changes.limitPrice} onChange={update('limitPrice')} className="input font-mono" />
+          </label>
+        )}
+        {order.type === 'trailing_stop' && (
+          <label className="block">
+            <span className="block text-xs text-gray-400 mb-1">{order.trail_percent ? 'Trail (%)' : 'Trail ($)'}</span>
+            <input type="number" min="0" step="any" value={changes.trail} onChange={update('trail')} className="input font-mono" />
+          </label>
+        )}
+      </div>
+    </ConfirmDialog>
+  );
+};
@@ -0,0 +1,15 @@
+const STREAM_STATUS = {
+  connected: { label: 'Live', className: 'bg-profit' },
+  connecting: { label: 'Connecting', className: 'bg-yellow-400' },
+  authenticating: { label: 'Connecting', className: 'bg-yellow-400' },
+  reconnecting: { label: 'Reconnecting', className: 'bg-yellow-400' },
+  closed: { label: 'Offline', className: 'bg-gray-500' },
+  error: { label: 'Stream unavailable', className: 'bg-loss' },
+};
+
+export const StreamStatus = ({ status }) => (
+  <span className="flex items-center gap-1.5 text-xs text-gray-500">
+    <span className={`w-2 h-2 rounded-full ${STREAM_STATUS[status]?.className}`} />
+    {STREAM_STATUS[status]?.label}
+  </span>
+);
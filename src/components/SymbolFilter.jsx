@@ -0,0 +1,35 @@
+// Chip list of selected symbols with a dropdown to add more
+export const SymbolFilter = ({ label, symbols, selected, onChange, placeholder = 'Add symbol...' }) => {
+  const available = symbols.filter(symbol => !selected.includes(symbol));
+
+  return (
+    <div>
+      <label className="block text-sm text-gray-400 mb-2">{label}</label>
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange([...selected, e.target.value])}
+        className="input"
+        disabled={available.length === 0}
+      >
+        <option value="">{placeholder}</option>
+        {available.map(symbol => (
+          <option key={symbol} value={symbol}>{symbol}</option>
+        ))}
+      </select>
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {selected.map(symbol => (
+            <button
+              key={symbol}
+              onClick={() => onChange(selected.filter(s => s !== symbol))}
+              className="px-2 py-0.5 rounded text-xs font-medium bg-dark-600 hover:bg-dark-500 text-gray-300 transition-colors"
+              title={`Remove ${symbol}`}
+            >
+              {symbol} ✕
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
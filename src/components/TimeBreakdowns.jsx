@@ -0,0 +1,174 @@
+import { useState, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  Cell,
+  ReferenceLine,
+} from 'recharts';
+import { formatCurrency } from '../hooks/useApi';
+import {
+  breakdownByHoldingPeriod,
+  breakdownByWeekday,
+  breakdownByEntryHour,
+  breakdownByMonth,
+  buildWeekdayHourGrid,
+} from '../utils/timeBreakdowns';
+
+const METRICS = [
+  { id: 'expectancy', label: 'Expectancy', format: (v) => formatCurrency(v), baseline: 0 },
+  { id: 'winRate', label: 'Win Rate', format: (v) => `${v.toFixed(0)}%`, baseline: 50 },
+  { id: 'totalPL', label: 'Total P/L', format: (v) => formatCurrency(v), baseline: 0 },
+];
+
+const axisProps = {
+  stroke: '#6b7280',
+  tick: { fill: '#9ca3af', fontSize: 12 },
+  axisLine: { stroke: '#2e2e3a' },
+};
+
+const BucketTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const bucket = payload[0].payload;
+
+  return (
+    <div className="bg-dark-700 border border-dark-500 rounded-lg p-3 shadow-xl text-xs space-y-1">
+      <p className="text-white font-semibold">{bucket.label}</p>
+      <p className="text-gray-400">{bucket.trades} trade{bucket.trades !== 1 ? 's' : ''}</p>
+      {bucket.trades > 0 && (
+        <>
+          <p className="text-gray-300">Win rate {bucket.winRate.toFixed(1)}%</p>
+          <p className={bucket.expectancy >= 0 ? 'text-profit' : 'text-loss'}>Expectancy {formatCurrency(bucket.expectancy)}</p>
+          <p className={bucket.totalPL >= 0 ? 'text-profit' : 'text-loss'}>P/L {formatCurrency(bucket.totalPL)}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+const BucketChart = ({ title, data, metric }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-300 mb-2">{title}</h4>
+    <ResponsiveContainer width="100%" height={220}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#2e2e3a" />
+        <XAxis dataKey="label" {...axisProps} />
+        <YAxis {...axisProps} tickFormatter={metric.id === 'winRate' ? (v) => `${v}%` : (v) => `$${v.toFixed(0)}`} />
+        <Tooltip content={<BucketTooltip />} />
+        <ReferenceLine y={metric.baseline} stroke="#4b5563" />
+        <Bar dataKey={metric.id} radius={[4, 4, 0, 0]}>
+          {data.map(bucket => (
+            <Cell
+              key={bucket.key}
+              fill={bucket.trades === 0 ? '#374151' : bucket[metric.id] >= metric.baseline ? '#22c55e' : '#ef4444'}
+            />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+// Green above the metric's baseline, red below, stronger the further away
+const heatColor = (value, metric, scale) => {
+  const distance = value - metric.baseline;
+  const alpha = scale > 0 ? Math.min(Math.abs(distance) / scale, 1) * 0.8 + 0.1 : 0.1;
+  return distance >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+const WeekdayHourHeatmap = ({ grid, metric }) => {
+  const values = grid.rows.flatMap(row => row.cells.filter(Boolean).map(cell => cell[metric.id]));
+  const scale = Math.max(0, ...values.map(v => Math.abs(v - metric.baseline)));
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-300 mb-2">{metric.label} by Weekday and Hour of Entry (ET)</h4>
+      <div className="overflow-x-auto">
+        <table className="text-xs">
+          <thead>
+            <tr>
+              <th></th>
+              {grid.hours.map(({ hour, label }) => (
+                <th key={hour} className="px-1 font-normal text-gray-500 text-center">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.rows.map(row => (
+              <tr key={row.weekday}>
+                <td className="pr-2 text-gray-400">{row.weekday}</td>
+                {row.cells.map((cell, idx) => (
+                  <td key={grid.hours[idx].hour} className="p-0.5">
+                    <div
+                      className="w-14 h-9 rounded flex items-center justify-center font-mono text-white"
+                      style={{ backgroundColor: cell ? heatColor(cell[metric.id], metric, scale) : 'rgba(55, 65, 81, 0.3)' }}
+                      title={cell
+                        ? `${row.weekday} ${grid.hours[idx].label}: ${cell.trades} trades, ${cell.winRate.toFixed(0)}% win rate, ${formatCurrency(cell.expectancy)} expectancy`
+                        : 'No trades'}
+                    >
+                      {cell ? metric.format(cell[metric.id]) : ''}
+                    </div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Win rate and expectancy by holding period, weekday, hour of entry and month
+export const TimeBreakdowns = ({ roundTrips }) => {
+  const [metricId, setMetricId] = useState('expectancy');
+  const metric = METRICS.find(m => m.id === metricId);
+
+  const breakdowns = useMemo(() => ({
+    holding: breakdownByHoldingPeriod(roundTrips),
+    weekday: breakdownByWeekday(roundTrips),
+    hour: breakdownByEntryHour(roundTrips),
+    month: breakdownByMonth(roundTrips),
+    grid: buildWeekdayHourGrid(roundTrips),
+  }), [roundTrips]);
+
+  return (
+    <div className="card space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Timing Breakdown</h3>
+          <p className="text-sm text-gray-500">Results by how long trades were held and when they were entered</p>
+        </div>
+        <div className="flex gap-1">
+          {METRICS.map(m => (
+            <button
+              key={m.id}
+              onClick={() => setMetricId(m.id)}
+              className={`tab ${metricId === m.id ? 'active' : ''}`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {roundTrips.length > 0 ? (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <BucketChart title="Holding Period" data={breakdowns.holding} metric={metric} />
+            <BucketChart title="Weekday of Entry" data={breakdowns.weekday} metric={metric} />
+            <BucketChart title="Hour of Entry (ET)" data={breakdowns.hour} metric={metric} />
+            <BucketChart title="Month Closed" data={breakdowns.month} metric={metric} />
+          </div>
+          <WeekdayHourHeatmap grid={breakdowns.grid} metric={metric} />
+        </>
+      ) : (
+        <p className="text-gray-500">No round trips in this range</p>
+      )}
+    </div>
+  );
+};
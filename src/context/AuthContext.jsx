@@ -1,5 +1,22 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { getCredentials, saveCredentials, clearCredentials, validateCredentials } from '../services/alpacaApi';
+import { validateCredentials } from '../services/alpacaApi';
+import {
+  getCredentials,
+  saveCredentials,
+  clearCredentials,
+  getProfiles,
+  setActiveProfile,
+  removeProfile,
+  getStorageMode,
+  isLocked as isVaultLocked,
+  unlock as unlockVault,
+  lock as lockVault,
+  setPassphrase,
+  enableSessionOnly,
+} from '../services/credentialStore';
+import { clearQueryCache } from '../services/queryCache';
+import { cancelAllRequests } from '../services/requestScheduler';
+import { cancelArchiveSyncs, deleteAccountArchive, clearArchive } from '../services/orderArchive';
 
 const AuthContext = createContext(null);
 
@@ -14,32 +31,107 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLocked, setIsLocked] = useState(false);
+  const [storageMode, setStorageMode] = useState(null);
   const [credentials, setCredentials] = useState(null);
+  const [profiles, setProfiles] = useState([]);
 
-  useEffect(() => {
+  const syncFromStore = () => {
     const creds = getCredentials();
-    if (creds) {
-      setCredentials(creds);
-      setIsAuthenticated(true);
-    }
+    setCredentials(creds);
+    setProfiles(getProfiles());
+    setStorageMode(getStorageMode());
+    setIsLocked(isVaultLocked());
+    setIsAuthenticated(!!creds);
+  };
+
+  useEffect(() => {
+    syncFromStore();
     setIsLoading(false);
   }, []);
 
-  const login = async (apiKey, apiSecret, isPaper) => {
+  // Adds the account as a new profile (or refreshes an existing one) and switches to it.
+  // storage is only passed on first sign-in: { passphrase } to encrypt, or { sessionOnly: true }.
+  const login = async (apiKey, apiSecret, isPaper, name, storage) => {
     await validateCredentials(apiKey, apiSecret, isPaper);
-    saveCredentials(apiKey, apiSecret, isPaper);
-    setCredentials({ apiKey, apiSecret, isPaper });
-    setIsAuthenticated(true);
+    if (storage?.sessionOnly) {
+      enableSessionOnly();
+    } else if (storage?.passphrase) {
+      await setPassphrase(storage.passphrase);
+    }
+    await saveCredentials(apiKey, apiSecret, isPaper, name);
+    syncFromStore();
+  };
+
+  // Nothing still loading for the old account may finish under the new one
+  const switchAccount = async (profileId) => {
+    cancelArchiveSyncs();
+    cancelAllRequests();
+    await setActiveProfile(profileId);
+    syncFromStore();
+  };
+
+  // The only place an account's archive is pruned: another tab (or a fresh session-only tab
+  // with no profiles yet) may still be using archives this tab doesn't know about
+  const removeAccount = async (profileId) => {
+    await removeProfile(profileId);
+    deleteAccountArchive(profileId);
+    syncFromStore();
+  };
+
+  const unlock = async (passphrase) => {
+    await unlockVault(passphrase);
+    syncFromStore();
+  };
+
+  const lock = () => {
+    lockVault();
+    cancelArchiveSyncs();
+    cancelAllRequests();
+    clearQueryCache();
+    syncFromStore();
+  };
+
+  // Secure plain-text credentials left by an older version
+  const secureWithPassphrase = async (passphrase) => {
+    await setPassphrase(passphrase);
+    syncFromStore();
+  };
+
+  const keepSessionOnly = () => {
+    enableSessionOnly();
+    syncFromStore();
   };
 
   const logout = () => {
     clearCredentials();
-    setCredentials(null);
-    setIsAuthenticated(false);
+    cancelArchiveSyncs();
+    cancelAllRequests();
+    clearQueryCache();
+    clearArchive();
+    syncFromStore();
   };
 
   return (
-    <AuthContext.Provider value={{ isAuthenticated, isLoading, credentials, login, logout }}>
+    <AuthContext.Provider
+      value={{
+        isAuthenticated,
+        isLoading,
+        isLocked,
+        needsSetup: storageMode === 'plain',
+        storageMode,
+        credentials,
+        profiles,
+        login,
+        switchAccount,
+        removeAccount,
+        unlock,
+        lock,
+        secureWithPassphrase,
+        keepSessionOnly,
+        logout,
+      }}
+    >
       {children}
     </AuthContext.Provider>
   );
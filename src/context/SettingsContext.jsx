@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { SettingsContext } from '../hooks/useSettings';
+
+const STORAGE_KEY = 'alpaca_settings';
+
+const DEFAULT_SETTINGS = {
+  riskFreeRate: 4,
+  benchmarkSymbol: 'SPY',
+  // Minutes of inactivity before saved keys are locked again; 0 = never
+  autoLockMinutes: 15,
+};
+
+const loadSettings = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (!stored) return DEFAULT_SETTINGS;
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setSettings(next);
+  };
+
+  return (
+    <SettingsContext.Provider value={{ settings, updateSettings }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
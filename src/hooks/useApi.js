@@ -1,32 +1,95 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { CACHE_TIME, toCacheKey, peekQuery, isStale, fetchQuery, subscribeQuery } from '../services/queryCache';
 
-export const useApi = (apiFunc, deps = [], autoFetch = true) => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(autoFetch);
+// options.key (an array like ['orders', 'open']) shares the result through the query cache:
+// cached data shows immediately, stale data is revalidated in the background, concurrent
+// callers share one request, and invalidateQueries() refreshes every mounted view.
+// options.ttl is how long the result stays fresh (see CACHE_TIME).
+export const useApi = (apiFunc, deps = [], autoFetch = true, options = {}) => {
+  const { key, ttl = CACHE_TIME.standard } = options;
+  const cacheKey = key ? toCacheKey(key) : null;
+  const cached = cacheKey ? peekQuery(cacheKey) : undefined;
+
+  const [data, setData] = useState(cached ? cached.data : null);
+  const [loading, setLoading] = useState(autoFetch && !cached);
+  const [isValidating, setIsValidating] = useState(false);
   const [error, setError] = useState(null);
 
+  const apiFuncRef = useRef(apiFunc);
+  useEffect(() => {
+    apiFuncRef.current = apiFunc;
+  }, [apiFunc]);
+
   const execute = useCallback(async (...args) => {
     setLoading(true);
     setError(null);
     try {
-      const result = await apiFunc(...args);
+      const result = cacheKey
+        ? await fetchQuery(cacheKey, () => apiFunc(...args), { ttl, force: true })
+        : await apiFunc(...args);
       setData(result);
       return result;
     } catch (err) {
+      // Paginated loaders attach whatever they got before failing
+      if (err.partialResults) setData(err.partialResults);
       setError(err.message || 'An error occurred');
       throw err;
     } finally {
       setLoading(false);
     }
-  }, [apiFunc]);
+  }, [apiFunc, cacheKey, ttl]);
+
+  // Refresh without a loading state; the current data stays on screen
+  const revalidate = useCallback(async () => {
+    setIsValidating(true);
+    try {
+      await fetchQuery(cacheKey, () => apiFuncRef.current(), { ttl, force: true });
+    } catch (err) {
+      if (!peekQuery(cacheKey)) {
+        if (err.partialResults) setData(err.partialResults);
+        setError(err.message || 'An error occurred');
+      }
+    } finally {
+      setIsValidating(false);
+    }
+  }, [cacheKey, ttl]);
+
+  const load = () => {
+    if (!cacheKey) {
+      execute();
+      return;
+    }
+
+    const current = peekQuery(cacheKey);
+    if (!current) {
+      execute();
+      return;
+    }
+    setData(current.data);
+    setLoading(false);
+    if (isStale(current, ttl)) revalidate();
+  };
 
   useEffect(() => {
     if (autoFetch) {
-      execute();
+      load();
     }
   }, deps);
 
-  return { data, loading, error, execute, setData };
+  // Pick up results fetched by other components and revalidate after invalidation
+  useEffect(() => {
+    if (!cacheKey) return undefined;
+    return subscribeQuery(cacheKey, (event, next) => {
+      if (event === 'updated') {
+        setData(next);
+        setError(null);
+      } else if (event === 'invalidated') {
+        revalidate();
+      }
+    });
+  }, [cacheKey, revalidate]);
+
+  return { data, loading, isValidating, error, execute, setData };
 };
 
 export const formatCurrency = (value) => {
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// Calls onLock after `minutes` without user activity; 0 disables it
+export const useAutoLock = (minutes, onLock) => {
+  const onLockRef = useRef(onLock);
+
+  useEffect(() => {
+    onLockRef.current = onLock;
+  }, [onLock]);
+
+  useEffect(() => {
+    if (!minutes) return undefined;
+
+    let timer = null;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onLockRef.current?.(), minutes * 60 * 1000);
+    };
+
+    reset();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, reset, { passive: true }));
+
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, reset));
+    };
+  }, [minutes]);
+};
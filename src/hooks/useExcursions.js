@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAllBars } from '../services/alpacaApi';
+import { CACHE_TIME, toCacheKey, fetchQuery } from '../services/queryCache';
+import { getExcursionWindow, calculateExcursion } from '../utils/excursions';
+
+// One bar request per round trip, so only the most recent ones are analyzed
+export const MAX_EXCURSION_TRIPS = 250;
+
+// Flush results to state every few trips instead of re-rendering on each one
+const FLUSH_EVERY = 10;
+
+// MAE/MFE per round trip id, loaded on demand since it takes a bar request per trade.
+// Trades whose bars can't be loaded (e.g. symbols without stock data) map to null.
+export const useExcursions = () => {
+  const [excursions, setExcursions] = useState({});
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const load = async (roundTrips) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const pending = roundTrips.filter(rt => !(rt.id in excursions)).slice(-MAX_EXCURSION_TRIPS);
+    let done = 0;
+    let batch = {};
+    const flush = () => {
+      const results = batch;
+      batch = {};
+      setExcursions(prev => ({ ...prev, ...results }));
+      setProgress({ done, total: pending.length });
+    };
+
+    setProgress({ done, total: pending.length });
+    await Promise.all(pending.map(async rt => {
+      const { timeframe, start, end } = getExcursionWindow(rt);
+      let excursion = null;
+      try {
+        const bars = await fetchQuery(
+          toCacheKey(['bars', rt.symbol, timeframe, start, end]),
+          () => getAllBars(rt.symbol, { timeframe, start, end }, { signal: controller.signal }),
+          { ttl: CACHE_TIME.static }
+        );
+        excursion = calculateExcursion(rt, bars);
+      } catch {
+        if (controller.signal.aborted) return;
+      }
+
+      batch[rt.id] = excursion;
+      done += 1;
+      if (done % FLUSH_EVERY === 0 && !controller.signal.aborted) flush();
+    }));
+
+    if (controller.signal.aborted) {
+      // Keep what finished before the cancel
+      setExcursions(prev => ({ ...prev, ...batch }));
+      return;
+    }
+    flush();
+    setProgress(null);
+  };
+
+  const cancel = () => {
+    controllerRef.current?.abort();
+    setProgress(null);
+  };
+
+  return { excursions, progress, load, cancel };
+};
@@ -0,0 +1,88 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { createMarketDataStream, createTradeUpdatesStream } from '../services/alpacaStream';
+import { invalidateQueries } from '../services/queryCache';
+
+// Ticks can arrive many times a second; prices are applied in batches at this interval
+const FLUSH_INTERVAL = 500;
+
+const FILL_EVENTS = ['fill', 'partial_fill'];
+
+// Reprice a position at the latest trade, keeping Alpaca's field names and string values
+const applyPrice = (position, price) => {
+  const qty = parseFloat(position.qty);
+  const costBasis = parseFloat(position.cost_basis ?? qty * parseFloat(position.avg_entry_price));
+  const marketValue = qty * price;
+  const unrealizedPL = marketValue - costBasis;
+
+  return {
+    ...position,
+    current_price: String(price),
+    market_value: String(marketValue),
+    unrealized_pl: String(unrealizedPL),
+    unrealized_plpc: String(costBasis !== 0 ? unrealizedPL / Math.abs(costBasis) : 0),
+  };
+};
+
+// Streams trade prices for the given positions. A fill invalidates cached positions, orders and
+// account data (which refetches them) and calls the optional onFill.
+// Returns the repriced positions plus the status of each stream.
+export const useLivePositions = (positions, onFill) => {
+  const [prices, setPrices] = useState({});
+  const [marketStatus, setMarketStatus] = useState('connecting');
+  const [tradeStatus, setTradeStatus] = useState('connecting');
+
+  const streamRef = useRef(null);
+  const pendingRef = useRef({});
+  const onFillRef = useRef(onFill);
+
+  useEffect(() => {
+    onFillRef.current = onFill;
+  }, [onFill]);
+
+  useEffect(() => {
+    const marketStream = createMarketDataStream({
+      onTrade: ({ symbol, price }) => {
+        pendingRef.current[symbol] = price;
+      },
+      onStatus: setMarketStatus,
+    });
+    const tradeStream = createTradeUpdatesStream({
+      onTradeUpdate: (update) => {
+        if (!FILL_EVENTS.includes(update.event)) return;
+        invalidateQueries([['positions'], ['orders'], ['account']]);
+        onFillRef.current?.(update);
+      },
+      onStatus: setTradeStatus,
+    });
+    streamRef.current = marketStream;
+
+    const flushTimer = setInterval(() => {
+      const pending = pendingRef.current;
+      if (Object.keys(pending).length === 0) return;
+      pendingRef.current = {};
+      setPrices(prev => ({ ...prev, ...pending }));
+    }, FLUSH_INTERVAL);
+
+    return () => {
+      clearInterval(flushTimer);
+      marketStream.close();
+      tradeStream.close();
+      streamRef.current = null;
+    };
+  }, []);
+
+  const symbolKey = (positions || []).map(p => p.symbol).sort().join(',');
+
+  useEffect(() => {
+    streamRef.current?.setSymbols(symbolKey ? symbolKey.split(',') : []);
+  }, [symbolKey]);
+
+  const livePositions = useMemo(() => {
+    if (!positions) return positions;
+    return positions.map(position =>
+      prices[position.symbol] !== undefined ? applyPrice(position, prices[position.symbol]) : position
+    );
+  }, [positions, prices]);
+
+  return { positions: livePositions, marketStatus, tradeStatus };
+};
@@ -0,0 +1,38 @@
+import { useState, useCallback } from 'react';
+import { getActiveProfileId } from '../services/credentialStore';
+
+export const readStoredValue = (key, fallback) => {
+  const stored = localStorage.getItem(key);
+  if (stored === null) return fallback;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return fallback;
+  }
+};
+
+export const writeStoredValue = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+export const useLocalStorage = (key, initialValue) => {
+  const [value, setValue] = useState(() => readStoredValue(key, initialValue));
+
+  const setStoredValue = useCallback((next) => {
+    setValue(prev => {
+      const resolved = typeof next === 'function' ? next(prev) : next;
+      writeStoredValue(key, resolved);
+      return resolved;
+    });
+  }, [key]);
+
+  return [value, setStoredValue];
+};
+
+// Storage key for data that belongs to one account (pinned lots, order ids, ...)
+export const getAccountStorageKey = (key) => `${key}:${getActiveProfileId()}`;
+
+// useLocalStorage scoped to the active account; pages remount on account switch.
+// Values saved before accounts were scoped are picked up from the bare key.
+export const useAccountStorage = (key, initialValue) =>
+  useLocalStorage(getAccountStorageKey(key), readStoredValue(key, initialValue));
@@ -0,0 +1,42 @@
+import { useState, useEffect, useRef } from 'react';
+import { createTradeUpdatesStream } from '../services/alpacaStream';
+import { invalidateQueries } from '../services/queryCache';
+
+// Records trade_updates events per order id for status timelines. Every event invalidates
+// cached orders (fills also positions and account) and calls the optional onUpdate.
+// Events are kept for the life of the page only.
+export const useOrderUpdates = (onUpdate) => {
+  const [eventsByOrder, setEventsByOrder] = useState({});
+  const [status, setStatus] = useState('connecting');
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  useEffect(() => {
+    const stream = createTradeUpdatesStream({
+      onTradeUpdate: (update) => {
+        const orderId = update.order?.id;
+        if (!orderId) return;
+
+        const event = {
+          event: update.event,
+          timestamp: update.timestamp || update.order.updated_at,
+          qty: update.qty,
+          price: update.price,
+        };
+        setEventsByOrder(prev => ({ ...prev, [orderId]: [...(prev[orderId] || []), event] }));
+        invalidateQueries(update.event === 'fill' || update.event === 'partial_fill'
+          ? [['orders'], ['positions'], ['account']]
+          : [['orders']]);
+        onUpdateRef.current?.(update);
+      },
+      onStatus: setStatus,
+    });
+
+    return () => stream.close();
+  }, []);
+
+  return { eventsByOrder, status };
+};
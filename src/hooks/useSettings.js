@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by SettingsProvider; kept out of SettingsContext.jsx so that file only exports components
+export const SettingsContext = createContext(null);
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
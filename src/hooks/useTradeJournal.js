@@ -0,0 +1,32 @@
+import { useState, useMemo } from 'react';
+import { getAccountStorageKey, readStoredValue, writeStoredValue } from './useLocalStorage';
+import { collectTags, isEmptyEntry } from '../utils/journal';
+
+const JOURNAL_KEY = 'alpaca_trade_journal';
+
+// The active account's journal, { [orderId]: entry }. saveEntry writes before updating state
+// and throws when localStorage is full, so a screenshot that doesn't fit is never lost silently.
+export const useTradeJournal = () => {
+  const storageKey = getAccountStorageKey(JOURNAL_KEY);
+  const [journal, setJournal] = useState(() => readStoredValue(storageKey, {}));
+
+  const tags = useMemo(() => collectTags(journal), [journal]);
+
+  const saveEntry = (orderId, entry) => {
+    const next = { ...journal };
+    if (isEmptyEntry(entry)) {
+      delete next[orderId];
+    } else {
+      next[orderId] = { ...entry, updatedAt: new Date().toISOString() };
+    }
+
+    try {
+      writeStoredValue(storageKey, next);
+    } catch {
+      throw new Error('Browser storage is full. Remove some screenshots and try again.');
+    }
+    setJournal(next);
+  };
+
+  return { journal, tags, saveEntry };
+};
@@ -1,9 +1,39 @@
-import { useState, useMemo, useEffect } from 'react';
-import { getAllClosedOrders } from '../services/alpacaApi';
-import { useApi, formatCurrency, formatPercent } from '../hooks/useApi';
-import { PageLoader } from '../components/LoadingSpinner';
+import { useState, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { getPortfolioHistory, getAllBars } from '../services/alpacaApi';
+import { getArchivedClosedOrders, getArchivedActivities } from '../services/orderArchive';
+import { useApi, formatCurrency, formatPercent, formatDate } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { useSettings } from '../hooks/useSettings';
+import { useLocalStorage, useAccountStorage } from '../hooks/useLocalStorage';
+import { useTradeJournal } from '../hooks/useTradeJournal';
+import { OrderSyncLoader } from '../components/LoadingSpinner';
 import { ErrorMessage } from '../components/ErrorMessage';
 import { StatCard } from '../components/StatCard';
+import { BenchmarkInput } from '../components/BenchmarkInput';
+import { ExportMenu } from '../components/ExportMenu';
+import { SymbolFilter } from '../components/SymbolFilter';
+import { ExcursionAnalysis } from '../components/ExcursionAnalysis';
+import { TimeBreakdowns } from '../components/TimeBreakdowns';
+import { PLCalendar } from '../components/PLCalendar';
+import { matchRoundTrips, summarizeBySymbol, LOT_METHODS } from '../utils/tradeMatching';
+import { ROUND_TRIP_COLUMNS, SYMBOL_STATS_COLUMNS, symbolStatsToRows } from '../utils/exportData';
+import { buildLedger, summarizeLedger, CASH_FLOW_ACTIVITY_TYPES } from '../utils/ledger';
+import { calculateRiskMetrics } from '../utils/riskMetrics';
+import { calculateBenchmarkStats, normalizeBenchmark } from '../utils/benchmark';
+import { summarizeByTag, UNTAGGED } from '../utils/journal';
+import {
+  RANGE_PRESETS,
+  DIRECTIONS,
+  parseAnalyticsFilters,
+  toSearchParams,
+  getRangeBounds,
+  isInRange,
+  filterRoundTrips,
+  filterOrders,
+  hasTradeFilters,
+} from '../utils/analyticsFilters';
+import { getDayKey } from '../utils/plCalendar';
 import {
   ResponsiveContainer,
   BarChart,
@@ -17,7 +47,7 @@ import {
   Cell,
   ReferenceLine,
 } from 'recharts';
-import { format, parseISO, startOfDay, eachDayOfInterval, subMonths } from 'date-fns';
+import { format, parseISO, eachDayOfInterval, endOfDay } from 'date-fns';
 
 const CustomBarTooltip = ({ active, payload, label }) => {
   if (active && payload && payload.length) {
@@ -40,6 +70,11 @@ const CustomLineTooltip = ({ active, payload, label }) => {
       <div className="bg-dark-700 border border-dark-500 rounded-lg p-3 shadow-xl">
         <p className="text-gray-400 text-xs mb-1">{label}</p>
         <p className="text-white font-semibold">{formatCurrency(payload[0].value)}</p>
+        {payload[0].payload.benchmark !== null && payload[0].payload.benchmark !== undefined && (
+          <p className="text-gray-400 text-xs mt-1">
+            {payload[0].payload.benchmarkSymbol}: {formatPercent(payload[0].payload.benchmark)}
+          </p>
+        )}
       </div>
     );
   }
@@ -47,78 +82,115 @@ const CustomLineTooltip = ({ active, payload, label }) => {
 };
 
 export const Analytics = () => {
-  const startDate = format(subMonths(new Date(), 6), 'yyyy-MM-dd');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => parseAnalyticsFilters(searchParams), [searchParams]);
+  const bounds = useMemo(() => getRangeBounds(filters), [filters]);
 
+  const updateFilters = (changes) => {
+    setSearchParams(toSearchParams({ ...filters, ...changes }), { replace: true });
+  };
+
+  // The whole account history; the archive only downloads what is new since the last visit
+  const [syncProgress, setSyncProgress] = useState(null);
   const { data: orders, loading, error, execute: fetchOrders } = useApi(
-    () => getAllClosedOrders(new Date(startDate).toISOString(), null),
+    () => getArchivedClosedOrders(null, null, { onProgress: setSyncProgress }),
     [],
-    true
+    true,
+    { key: ['orders', 'closed', null, null], ttl: CACHE_TIME.history }
   );
 
-  // Calculate round trips using FIFO
-  const roundTrips = useMemo(() => {
-    if (!orders) return [];
+  const { data: activities } = useApi(
+    () => getArchivedActivities(CASH_FLOW_ACTIVITY_TYPES),
+    [],
+    true,
+    { key: ['activities', 'cash-flows'], ttl: CACHE_TIME.history }
+  );
 
-    const ordersBySymbol = {};
-    orders.filter(o => o.status === 'filled').forEach(order => {
-      if (!ordersBySymbol[order.symbol]) {
-        ordersBySymbol[order.symbol] = [];
-      }
-      ordersBySymbol[order.symbol].push(order);
-    });
+  const { data: equityHistory } = useApi(
+    () => getPortfolioHistory({ period: 'all', timeframe: '1D' }),
+    [],
+    true,
+    { key: ['portfolio-history', 'all', '1D'], ttl: CACHE_TIME.history }
+  );
 
-    const allRoundTrips = [];
-
-    Object.entries(ordersBySymbol).forEach(([symbol, symbolOrders]) => {
-      const sorted = symbolOrders.sort((a, b) => new Date(a.filled_at) - new Date(b.filled_at));
-      const buyQueue = [];
-
-      sorted.forEach(order => {
-        const qty = parseFloat(order.filled_qty);
-        const price = parseFloat(order.filled_avg_price);
-
-        if (order.side === 'buy') {
-          buyQueue.push({ qty, price, date: order.filled_at });
-        } else if (order.side === 'sell' && buyQueue.length > 0) {
-          let sellQty = qty;
-
-          while (sellQty > 0 && buyQueue.length > 0) {
-            const buy = buyQueue[0];
-            const matchQty = Math.min(sellQty, buy.qty);
-
-            const pl = (price - buy.price) * matchQty;
-            const cost = buy.price * matchQty;
-
-            allRoundTrips.push({
-              symbol,
-              buyPrice: buy.price,
-              sellPrice: price,
-              qty: matchQty,
-              pl,
-              plPercent: ((price - buy.price) / buy.price) * 100,
-              cost,
-              revenue: price * matchQty,
-              buyDate: buy.date,
-              sellDate: order.filled_at,
-            });
-
-            buy.qty -= matchQty;
-            sellQty -= matchQty;
-
-            if (buy.qty <= 0) {
-              buyQueue.shift();
-            }
-          }
-        }
-      });
-    });
+  const { settings, updateSettings } = useSettings();
+
+  const ledger = useMemo(() => buildLedger(activities || []), [activities]);
+
+  // Dividends, interest, fees and transfers over the selected range
+  const cashFlows = useMemo(
+    () => summarizeLedger(ledger.filter(entry => isInRange(entry.date, bounds))),
+    [ledger, bounds]
+  );
+
+  // Benchmark bars from the first day of equity history, once that is known
+  const benchmarkStart = equityHistory?.timestamp?.length
+    ? format(new Date(equityHistory.timestamp[0] * 1000), 'yyyy-MM-dd')
+    : null;
+
+  const { data: benchmarkBars } = useApi(
+    () => getAllBars(settings.benchmarkSymbol, { timeframe: '1Day', start: new Date(benchmarkStart).toISOString() }),
+    [settings.benchmarkSymbol, benchmarkStart],
+    !!benchmarkStart,
+    { key: ['bars', settings.benchmarkSymbol, '1Day', benchmarkStart], ttl: CACHE_TIME.static }
+  );
+
+  const equityPoints = useMemo(() => {
+    if (!equityHistory?.timestamp || !equityHistory?.equity) return [];
+
+    return equityHistory.timestamp
+      .map((ts, idx) => ({
+        timestamp: ts * 1000,
+        equity: equityHistory.equity[idx],
+      }))
+      .filter(point => isInRange(point.timestamp, bounds));
+  }, [equityHistory, bounds]);
+
+  const transfers = useMemo(() => ledger.filter(entry => entry.category === 'transfer'), [ledger]);
+
+  // Risk statistics from the daily equity series, adjusted for deposits and withdrawals
+  const riskMetrics = useMemo(() => {
+    if (equityPoints.length === 0) return null;
+    return calculateRiskMetrics(equityPoints, transfers, settings.riskFreeRate);
+  }, [equityPoints, transfers, settings.riskFreeRate]);
+
+  const benchmarkStats = useMemo(() => {
+    if (equityPoints.length === 0 || !benchmarkBars?.length) return null;
+    return calculateBenchmarkStats(equityPoints, transfers, benchmarkBars, settings.riskFreeRate);
+  }, [equityPoints, transfers, benchmarkBars, settings.riskFreeRate]);
+
+  // Same lot relief method Trade History is set to, so both views agree
+  const [lotMethod] = useLocalStorage('alpaca_lot_method', 'fifo');
+  const [lotSelections] = useAccountStorage('alpaca_lot_selections', {});
+  const activeMethod = LOT_METHODS.find(m => m.id === lotMethod) || LOT_METHODS[0];
+
+  // Realized P/L is wash-sale adjusted; win/loss statistics judge each trade on its own outcome
+  // Matched over the whole history, then narrowed to the selected range and filters
+  const { allRoundTrips, allTradeResults } = useMemo(() => {
+    if (!orders) return { allRoundTrips: [], allTradeResults: [] };
+    return {
+      allRoundTrips: matchRoundTrips(orders, { method: activeMethod.id, lotSelections, washSales: true }).roundTrips,
+      allTradeResults: matchRoundTrips(orders, { method: activeMethod.id, lotSelections }).roundTrips,
+    };
+  }, [orders, activeMethod, lotSelections]);
 
-    return allRoundTrips.sort((a, b) => new Date(a.sellDate) - new Date(b.sellDate));
-  }, [orders]);
+  const roundTrips = useMemo(
+    () => filterRoundTrips(allRoundTrips, filters, bounds),
+    [allRoundTrips, filters, bounds]
+  );
+  const tradeResults = useMemo(
+    () => filterRoundTrips(allTradeResults, filters, bounds),
+    [allTradeResults, filters, bounds]
+  );
+
+  const tradedSymbols = useMemo(
+    () => [...new Set(allRoundTrips.map(rt => rt.symbol))].sort(),
+    [allRoundTrips]
+  );
 
   // Performance metrics
   const metrics = useMemo(() => {
-    if (roundTrips.length === 0) {
+    if (tradeResults.length === 0) {
       return {
         totalTrades: 0,
         winners: 0,
@@ -136,8 +208,8 @@ export const Analytics = () => {
       };
     }
 
-    const winners = roundTrips.filter(rt => rt.pl >= 0);
-    const losers = roundTrips.filter(rt => rt.pl < 0);
+    const winners = tradeResults.filter(rt => rt.pl >= 0);
+    const losers = tradeResults.filter(rt => rt.pl < 0);
 
     const totalWins = winners.reduce((sum, rt) => sum + rt.pl, 0);
     const totalLosses = Math.abs(losers.reduce((sum, rt) => sum + rt.pl, 0));
@@ -152,18 +224,18 @@ export const Analytics = () => {
       ? Math.abs(losers.reduce((sum, rt) => sum + rt.plPercent, 0) / losers.length)
       : 0;
 
-    const sortedByPL = [...roundTrips].sort((a, b) => b.pl - a.pl);
+    const sortedByPL = [...tradeResults].sort((a, b) => b.pl - a.pl);
     const largestWin = sortedByPL[0];
     const largestLoss = sortedByPL[sortedByPL.length - 1];
 
-    const winRate = roundTrips.length > 0 ? (winners.length / roundTrips.length) * 100 : 0;
+    const winRate = tradeResults.length > 0 ? (winners.length / tradeResults.length) * 100 : 0;
     const profitFactor = totalLosses > 0 ? totalWins / totalLosses : totalWins > 0 ? Infinity : 0;
-    const expectancy = roundTrips.length > 0
+    const expectancy = tradeResults.length > 0
       ? (winRate / 100 * avgWin) - ((100 - winRate) / 100 * avgLoss)
       : 0;
 
     return {
-      totalTrades: roundTrips.length,
+      totalTrades: tradeResults.length,
       winners: winners.length,
       losers: losers.length,
       winRate,
@@ -177,7 +249,7 @@ export const Analytics = () => {
       largestLoss,
       expectancy,
     };
-  }, [roundTrips]);
+  }, [roundTrips, tradeResults]);
 
   // Daily P/L data for bar chart
   const dailyPL = useMemo(() => {
@@ -186,9 +258,9 @@ export const Analytics = () => {
     const dailyMap = new Map();
 
     roundTrips.forEach(rt => {
-      const dateKey = format(parseISO(rt.sellDate), 'yyyy-MM-dd');
-      const current = dailyMap.get(dateKey) || 0;
-      dailyMap.set(dateKey, current + rt.pl);
+      const dateKey = getDayKey(rt.exitDate);
+      const current = dailyMap.get(dateKey) || { pl: 0, trades: 0 };
+      dailyMap.set(dateKey, { pl: current.pl + rt.pl, trades: current.trades + 1 });
     });
 
     // Fill in missing days
@@ -201,25 +273,40 @@ export const Analytics = () => {
     return eachDayOfInterval({ start: startDate, end: endDate }).map(date => {
       const dateKey = format(date, 'yyyy-MM-dd');
       return {
-        date: format(date, 'MMM d'),
-        pl: dailyMap.get(dateKey) || 0,
+        day: dateKey,
+        date: format(date, 'MMM d, yyyy'),
+        timestamp: endOfDay(date).getTime(),
+        pl: dailyMap.get(dateKey)?.pl || 0,
+        trades: dailyMap.get(dateKey)?.trades || 0,
       };
     });
   }, [roundTrips]);
 
-  // Cumulative P/L data for line chart
+  // Fills behind the calendar's day drill-down
+  const [dailyView, setDailyView] = useState('chart');
+  const filledOrders = useMemo(() => filterOrders(orders || [], filters), [orders, filters]);
+
+  // Cumulative P/L data for line chart, with the benchmark's return over the same days
   const cumulativePL = useMemo(() => {
     if (dailyPL.length === 0) return [];
 
+    const benchmark = benchmarkBars?.length ? normalizeBenchmark(dailyPL, benchmarkBars) : [];
+
     let cumulative = 0;
-    return dailyPL.map(day => {
+    return dailyPL.map((day, idx) => {
       cumulative += day.pl;
       return {
         date: day.date,
         cumulative,
+        benchmark: benchmark[idx] ?? null,
+        benchmarkSymbol: settings.benchmarkSymbol,
       };
     });
-  }, [dailyPL]);
+  }, [dailyPL, benchmarkBars, settings.benchmarkSymbol]);
+
+  // Which journal tags (strategies) make money; a trade counts toward each of its tags
+  const { journal } = useTradeJournal();
+  const tagStats = useMemo(() => summarizeByTag(tradeResults, journal), [tradeResults, journal]);
 
   // Top performing and worst performing symbols
   const symbolPerformance = useMemo(() => {
@@ -245,15 +332,106 @@ export const Analytics = () => {
     };
   }, [roundTrips]);
 
-  if (loading && !orders) return <PageLoader />;
+  if (loading && !orders) return <OrderSyncLoader progress={syncProgress} />;
   if (error) return <ErrorMessage message={error} onRetry={fetchOrders} />;
 
   return (
     <div className="space-y-6">
       {/* Page Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-white mb-1">Performance Analytics</h1>
-        <p className="text-gray-400">Last 6 months of trading performance</p>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Performance Analytics</h1>
+          <p className="text-gray-400">
+            {bounds.start || bounds.end
+              ? `Trading performance from ${bounds.start ? formatDate(bounds.start) : 'the start'} to ${bounds.end ? formatDate(bounds.end) : 'today'}`
+              : "Trading performance over the account's full history"}
+            {` (${activeMethod.label} lot relief)`}
+          </p>
+        </div>
+        <ExportMenu
+          datasets={[
+            { id: 'round-trips', label: `Round Trips (${activeMethod.label})`, name: `round-trips-${activeMethod.id}`, rows: roundTrips, columns: ROUND_TRIP_COLUMNS },
+            { id: 'symbol-stats', label: 'P/L by Symbol', name: 'symbol-stats', rows: symbolStatsToRows(summarizeBySymbol(roundTrips)), columns: SYMBOL_STATS_COLUMNS },
+          ]}
+        />
+      </div>
+
+      {/* Filters */}
+      <div className="card space-y-4">
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Range</label>
+            <div className="flex flex-wrap gap-1">
+              {RANGE_PRESETS.map(preset => (
+                <button
+                  key={preset.id}
+                  onClick={() => updateFilters({ range: preset.id })}
+                  className={`tab ${filters.range === preset.id ? 'active' : ''}`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {filters.range === 'custom' && (
+            <>
+              <div>
+                <label className="block text-sm text-gray-400 mb-2">From Date</label>
+                <input
+                  type="date"
+                  value={filters.from || ''}
+                  onChange={(e) => updateFilters({ from: e.target.value || null })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-400 mb-2">To Date</label>
+                <input
+                  type="date"
+                  value={filters.to || ''}
+                  onChange={(e) => updateFilters({ to: e.target.value || null })}
+                  className="input"
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <SymbolFilter
+            label="Only Symbols"
+            symbols={tradedSymbols}
+            selected={filters.symbols}
+            onChange={(symbols) => updateFilters({ symbols })}
+            placeholder="All symbols"
+          />
+          <SymbolFilter
+            label="Exclude Symbols"
+            symbols={tradedSymbols}
+            selected={filters.exclude}
+            onChange={(exclude) => updateFilters({ exclude })}
+            placeholder="None excluded"
+          />
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Direction</label>
+            <select
+              value={filters.direction}
+              onChange={(e) => updateFilters({ direction: e.target.value })}
+              className="input"
+            >
+              {DIRECTIONS.map(direction => (
+                <option key={direction.id} value={direction.id}>{direction.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {hasTradeFilters(filters) && (
+          <p className="text-xs text-gray-500">
+            Symbol and direction filters apply to trade statistics and charts. Risk metrics and cash flows cover the whole account over the selected range.
+          </p>
+        )}
       </div>
 
       {/* Key Metrics */}
@@ -285,6 +463,35 @@ export const Analytics = () => {
         />
       </div>
 
+      {/* Income & Costs */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-white mb-4">Income & Costs</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <div className="text-gray-400 text-sm mb-1">Dividends</div>
+            <div className={`text-xl font-semibold ${cashFlows.dividends >= 0 ? 'text-profit' : 'text-loss'}`}>
+              {formatCurrency(cashFlows.dividends)}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-400 text-sm mb-1">Interest</div>
+            <div className={`text-xl font-semibold ${cashFlows.interest >= 0 ? 'text-profit' : 'text-loss'}`}>
+              {formatCurrency(cashFlows.interest)}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-400 text-sm mb-1">Fees</div>
+            <div className="text-xl font-semibold text-loss">
+              {cashFlows.fees > 0 ? '-' : ''}{formatCurrency(cashFlows.fees)}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-400 text-sm mb-1">Net Deposits</div>
+            <div className="text-xl font-semibold text-white">{formatCurrency(cashFlows.netDeposits)}</div>
+          </div>
+        </div>
+      </div>
+
       {/* Win/Loss Comparison */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div className="card">
@@ -328,8 +535,23 @@ export const Analytics = () => {
 
       {/* Daily P/L Chart */}
       <div className="card">
-        <h3 className="text-lg font-semibold text-white mb-4">Daily P/L</h3>
-        {dailyPL.length > 0 ? (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold text-white">Daily P/L</h3>
+          <div className="flex gap-1">
+            {[{ id: 'chart', label: 'Chart' }, { id: 'calendar', label: 'Calendar' }].map(view => (
+              <button
+                key={view.id}
+                onClick={() => setDailyView(view.id)}
+                className={`tab ${dailyView === view.id ? 'active' : ''}`}
+              >
+                {view.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {dailyPL.length > 0 && dailyView === 'calendar' ? (
+          <PLCalendar dailyPL={dailyPL} roundTrips={roundTrips} orders={filledOrders} />
+        ) : dailyPL.length > 0 ? (
           <ResponsiveContainer width="100%" height={300}>
             <BarChart data={dailyPL}>
               <CartesianGrid strokeDasharray="3 3" stroke="#2e2e3a" />
@@ -363,7 +585,10 @@ export const Analytics = () => {
 
       {/* Cumulative P/L Chart */}
       <div className="card">
-        <h3 className="text-lg font-semibold text-white mb-4">Cumulative P/L</h3>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold text-white">Cumulative P/L</h3>
+          <BenchmarkInput />
+        </div>
         {cumulativePL.length > 0 ? (
           <ResponsiveContainer width="100%" height={300}>
             <LineChart data={cumulativePL}>
@@ -381,14 +606,24 @@ export const Analytics = () => {
                 axisLine={{ stroke: '#2e2e3a' }}
               />
               <YAxis
+                yAxisId="pl"
                 stroke="#6b7280"
                 tick={{ fill: '#9ca3af', fontSize: 12 }}
                 axisLine={{ stroke: '#2e2e3a' }}
                 tickFormatter={(value) => `$${value >= 1000 ? `${(value/1000).toFixed(0)}k` : value.toFixed(0)}`}
               />
+              <YAxis
+                yAxisId="benchmark"
+                orientation="right"
+                stroke="#6b7280"
+                tick={{ fill: '#9ca3af', fontSize: 12 }}
+                axisLine={{ stroke: '#2e2e3a' }}
+                tickFormatter={(value) => `${value.toFixed(0)}%`}
+              />
               <Tooltip content={<CustomLineTooltip />} />
-              <ReferenceLine y={0} stroke="#4b5563" />
+              <ReferenceLine yAxisId="pl" y={0} stroke="#4b5563" />
               <Line
+                yAxisId="pl"
                 type="monotone"
                 dataKey="cumulative"
                 stroke="#6366f1"
@@ -396,6 +631,16 @@ export const Analytics = () => {
                 dot={false}
                 fill="url(#colorCumulative)"
               />
+              <Line
+                yAxisId="benchmark"
+                type="monotone"
+                dataKey="benchmark"
+                stroke="#9ca3af"
+                strokeWidth={1.5}
+                strokeDasharray="4 4"
+                dot={false}
+                connectNulls
+              />
             </LineChart>
           </ResponsiveContainer>
         ) : (
@@ -405,6 +650,107 @@ export const Analytics = () => {
         )}
       </div>
 
+      {/* Risk Metrics */}
+      <div className="card">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold text-white">Risk Metrics</h3>
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            Risk-free rate (%)
+            <input
+              type="number"
+              step="0.1"
+              value={settings.riskFreeRate}
+              onChange={(e) => updateSettings({ riskFreeRate: parseFloat(e.target.value) || 0 })}
+              className="input w-24"
+            />
+          </label>
+        </div>
+        {riskMetrics ? (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Volatility (ann.)</div>
+              <div className="text-xl font-semibold text-white">{riskMetrics.volatility.toFixed(2)}%</div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Sharpe Ratio</div>
+              <div className="text-xl font-semibold text-white">
+                {riskMetrics.sharpe !== null ? riskMetrics.sharpe.toFixed(2) : '-'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Sortino Ratio</div>
+              <div className="text-xl font-semibold text-white">
+                {riskMetrics.sortino !== null ? riskMetrics.sortino.toFixed(2) : '-'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Max Drawdown</div>
+              <div className="text-xl font-semibold text-loss">
+                {riskMetrics.maxDrawdown ? `${riskMetrics.maxDrawdown.depth.toFixed(2)}%` : '-'}
+              </div>
+              {riskMetrics.maxDrawdown && (
+                <div className="text-xs text-gray-500">
+                  {formatDate(riskMetrics.maxDrawdown.peakDate)} → {formatDate(riskMetrics.maxDrawdown.troughDate)}
+                  {' '}({riskMetrics.maxDrawdown.durationDays}d)
+                </div>
+              )}
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Recovery Time</div>
+              <div className="text-xl font-semibold text-white">
+                {!riskMetrics.maxDrawdown
+                  ? '-'
+                  : riskMetrics.maxDrawdown.recoveryDays !== null
+                    ? `${riskMetrics.maxDrawdown.recoveryDays}d`
+                    : 'Not recovered'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Calmar Ratio</div>
+              <div className="text-xl font-semibold text-white">
+                {riskMetrics.calmar !== null ? riskMetrics.calmar.toFixed(2) : '-'}
+              </div>
+              <div className="text-xs text-gray-500">CAGR {formatPercent(riskMetrics.cagr)}</div>
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-500">Not enough equity history to compute risk metrics</p>
+        )}
+      </div>
+
+      {/* Benchmark Comparison */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-white mb-4">vs {settings.benchmarkSymbol}</h3>
+        {benchmarkStats ? (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Alpha (ann.)</div>
+              <div className={`text-xl font-semibold ${benchmarkStats.alpha >= 0 ? 'text-profit' : 'text-loss'}`}>
+                {formatPercent(benchmarkStats.alpha)}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Beta</div>
+              <div className="text-xl font-semibold text-white">
+                {benchmarkStats.beta !== null ? benchmarkStats.beta.toFixed(2) : '-'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Correlation</div>
+              <div className="text-xl font-semibold text-white">
+                {benchmarkStats.correlation !== null ? benchmarkStats.correlation.toFixed(2) : '-'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-400 text-sm mb-1">Tracking Error</div>
+              <div className="text-xl font-semibold text-white">{benchmarkStats.trackingError.toFixed(2)}%</div>
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-500">Not enough overlapping history to compare against {settings.benchmarkSymbol}</p>
+        )}
+      </div>
+
       {/* Symbol Performance */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div className="card">
@@ -448,6 +794,62 @@ export const Analytics = () => {
         </div>
       </div>
 
+      {/* Strategy Breakdown */}
+      <div className="card p-0 overflow-hidden">
+        <div className="p-4 border-b border-dark-600">
+          <h3 className="text-lg font-semibold text-white">Performance by Tag</h3>
+          <p className="text-sm text-gray-500">Tag orders and round trips from the Trade History journal</p>
+        </div>
+        {tagStats.some(s => s.tag !== UNTAGGED) ? (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Tag</th>
+                  <th className="text-right">Trades</th>
+                  <th className="text-right">Win Rate</th>
+                  <th className="text-right">Avg Win</th>
+                  <th className="text-right">Avg Loss</th>
+                  <th className="text-right">Expectancy</th>
+                  <th className="text-right">Profit Factor</th>
+                  <th className="text-right">Total P/L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tagStats.map(stat => (
+                  <tr key={stat.tag}>
+                    <td className={stat.tag === UNTAGGED ? 'text-gray-500' : 'font-semibold text-white'}>
+                      {stat.tag === UNTAGGED ? stat.tag : `#${stat.tag}`}
+                    </td>
+                    <td className="text-right font-mono">{stat.trades}</td>
+                    <td className="text-right font-mono">{stat.winRate.toFixed(1)}%</td>
+                    <td className="text-right font-mono text-profit">{stat.winners > 0 ? formatCurrency(stat.avgWin) : '-'}</td>
+                    <td className="text-right font-mono text-loss">{stat.losers > 0 ? `-${formatCurrency(stat.avgLoss)}` : '-'}</td>
+                    <td className={`text-right font-mono ${stat.expectancy >= 0 ? 'text-profit' : 'text-loss'}`}>
+                      {formatCurrency(stat.expectancy)}
+                    </td>
+                    <td className="text-right font-mono">
+                      {stat.profitFactor === Infinity ? '∞' : stat.profitFactor.toFixed(2)}
+                    </td>
+                    <td className={`text-right font-mono ${stat.totalPL >= 0 ? 'text-profit' : 'text-loss'}`}>
+                      {stat.totalPL >= 0 ? '+' : ''}{formatCurrency(stat.totalPL)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="p-4 text-gray-500">No tagged trades in this range yet</p>
+        )}
+      </div>
+
+      {/* Holding period, weekday, hour of entry and month */}
+      <TimeBreakdowns roundTrips={tradeResults} />
+
+      {/* MAE / MFE and R-multiples */}
+      <ExcursionAnalysis roundTrips={tradeResults} journal={journal} />
+
       {/* Trade Stats Summary */}
       <div className="card">
         <h3 className="text-lg font-semibold text-white mb-4">Trade Statistics</h3>
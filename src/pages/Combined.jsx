@@ -0,0 +1,213 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { getAccountForProfile, getPositionsForProfile } from '../services/alpacaApi';
+import { useApi, formatCurrency, formatPercent, formatNumber } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { PageLoader } from '../components/LoadingSpinner';
+import { ErrorMessage } from '../components/ErrorMessage';
+import { StatCard } from '../components/StatCard';
+
+// One failing account shouldn't hide the others, so each result carries its own error
+const fetchAllAccounts = async (profiles) => {
+  const results = await Promise.allSettled(
+    profiles.map(profile => Promise.all([getAccountForProfile(profile), getPositionsForProfile(profile)]))
+  );
+  return results.map((result, i) => ({
+    profile: profiles[i],
+    account: result.status === 'fulfilled' ? result.value[0] : null,
+    positions: result.status === 'fulfilled' ? result.value[1] : [],
+    error: result.status === 'rejected' ? result.reason?.message || 'Request failed' : null,
+  }));
+};
+
+// Sum positions of the same symbol and side across accounts
+const combinePositions = (results) => {
+  const bySymbol = {};
+  results.forEach(({ profile, positions }) => {
+    positions.forEach(pos => {
+      const key = `${pos.symbol}-${pos.side}`;
+      if (!bySymbol[key]) {
+        bySymbol[key] = { symbol: pos.symbol, side: pos.side, qty: 0, marketValue: 0, costBasis: 0, unrealizedPL: 0, accounts: [] };
+      }
+      const combined = bySymbol[key];
+      combined.qty += parseFloat(pos.qty);
+      combined.marketValue += parseFloat(pos.market_value || 0);
+      combined.costBasis += parseFloat(pos.cost_basis || 0);
+      combined.unrealizedPL += parseFloat(pos.unrealized_pl || 0);
+      combined.accounts.push(profile.name);
+    });
+  });
+  return Object.values(bySymbol).sort((a, b) => Math.abs(b.marketValue) - Math.abs(a.marketValue));
+};
+
+export const Combined = () => {
+  const { profiles } = useAuth();
+  const [includePaper, setIncludePaper] = useState(true);
+
+  const fetchAll = useCallback(() => fetchAllAccounts(profiles), [profiles]);
+  const { data: allResults, loading, error, execute: refetch } = useApi(
+    fetchAll,
+    [fetchAll],
+    true,
+    { key: ['combined', ...profiles.map(p => p.id)], ttl: CACHE_TIME.live }
+  );
+
+  const results = useMemo(
+    () => (allResults || []).filter(r => includePaper || !r.profile.isPaper),
+    [allResults, includePaper]
+  );
+
+  const totals = useMemo(() => results.reduce((acc, { account, positions }) => {
+    if (!account) return acc;
+    return {
+      equity: acc.equity + parseFloat(account.equity),
+      lastEquity: acc.lastEquity + parseFloat(account.last_equity),
+      cash: acc.cash + parseFloat(account.cash),
+      buyingPower: acc.buyingPower + parseFloat(account.buying_power),
+      unrealizedPL: acc.unrealizedPL + positions.reduce((sum, p) => sum + parseFloat(p.unrealized_pl || 0), 0),
+    };
+  }, { equity: 0, lastEquity: 0, cash: 0, buyingPower: 0, unrealizedPL: 0 }), [results]);
+
+  const combinedPositions = useMemo(() => combinePositions(results), [results]);
+
+  if (loading && !allResults) return <PageLoader />;
+  if (error) return <ErrorMessage message={error} onRetry={refetch} />;
+
+  const dayChange = totals.equity - totals.lastEquity;
+  const dayChangePercent = totals.lastEquity > 0 ? (dayChange / totals.lastEquity) * 100 : 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Combined View</h1>
+          <p className="text-gray-400">Equity and positions added up across {results.length} accounts</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            <input type="checkbox" checked={includePaper} onChange={(e) => setIncludePaper(e.target.checked)} />
+            Include paper accounts
+          </label>
+          <button onClick={() => refetch()} className="btn-primary flex items-center gap-2">
+            <span>🔄</span>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          label="Total Equity"
+          value={formatCurrency(totals.equity)}
+          subValue={`${dayChange >= 0 ? '+' : ''}${formatCurrency(dayChange)} (${formatPercent(dayChangePercent)}) today`}
+          trend={dayChange}
+          icon="💰"
+        />
+        <StatCard label="Cash" value={formatCurrency(totals.cash)} icon="💵" />
+        <StatCard label="Buying Power" value={formatCurrency(totals.buyingPower)} icon="⚡" />
+        <StatCard
+          label="Unrealized P/L"
+          value={formatCurrency(totals.unrealizedPL)}
+          trend={totals.unrealizedPL}
+          icon="📈"
+        />
+      </div>
+
+      {/* Accounts */}
+      <div className="card p-0 overflow-hidden">
+        <div className="p-4 border-b border-dark-600">
+          <h3 className="font-semibold text-white">Accounts</h3>
+        </div>
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th className="text-right">Equity</th>
+                <th className="text-right">Cash</th>
+                <th className="text-right">Day Change</th>
+                <th className="text-right">Positions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(({ profile, account, positions, error: accountError }) => {
+                const change = account ? parseFloat(account.equity) - parseFloat(account.last_equity) : 0;
+
+                return (
+                  <tr key={profile.id}>
+                    <td>
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-white">{profile.name}</span>
+                        <span className={`text-xs ${profile.isPaper ? 'text-yellow-400' : 'text-red-400'}`}>
+                          {profile.isPaper ? 'PAPER' : 'LIVE'}
+                        </span>
+                      </div>
+                    </td>
+                    {account ? (
+                      <>
+                        <td className="text-right font-mono">{formatCurrency(account.equity)}</td>
+                        <td className="text-right font-mono">{formatCurrency(account.cash)}</td>
+                        <td className={`text-right font-mono ${change >= 0 ? 'text-profit' : 'text-loss'}`}>
+                          {change >= 0 ? '+' : ''}{formatCurrency(change)}
+                        </td>
+                        <td className="text-right font-mono">{positions.length}</td>
+                      </>
+                    ) : (
+                      <td colSpan={4} className="text-right text-loss text-sm">{accountError}</td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Combined Positions */}
+      <div className="card p-0 overflow-hidden">
+        <div className="p-4 border-b border-dark-600">
+          <h3 className="font-semibold text-white">Combined Positions ({combinedPositions.length})</h3>
+        </div>
+        {combinedPositions.length > 0 ? (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th className="text-right">Qty</th>
+                  <th className="text-right">Cost Basis</th>
+                  <th className="text-right">Market Value</th>
+                  <th className="text-right">P/L ($)</th>
+                  <th>Accounts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {combinedPositions.map(pos => (
+                  <tr key={`${pos.symbol}-${pos.side}`}>
+                    <td>
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-white">{pos.symbol}</span>
+                        <span className="text-xs text-gray-500 uppercase">{pos.side}</span>
+                      </div>
+                    </td>
+                    <td className="text-right font-mono">{formatNumber(pos.qty, pos.qty % 1 === 0 ? 0 : 4)}</td>
+                    <td className="text-right font-mono">{formatCurrency(pos.costBasis)}</td>
+                    <td className="text-right font-mono">{formatCurrency(pos.marketValue)}</td>
+                    <td className={`text-right font-mono ${pos.unrealizedPL >= 0 ? 'text-profit' : 'text-loss'}`}>
+                      {pos.unrealizedPL >= 0 ? '+' : ''}{formatCurrency(pos.unrealizedPL)}
+                    </td>
+                    <td className="text-gray-400 text-sm">{pos.accounts.join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="p-4 text-gray-500">No open positions in these accounts</p>
+        )}
+      </div>
+    </div>
+  );
+};
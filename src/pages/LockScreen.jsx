@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { PassphraseFields } from '../components/PassphraseFields';
+
+// Shown instead of the app while saved accounts are encrypted and locked, or when plain-text
+// keys from an older version still need a passphrase (or to be dropped for session-only use).
+export const LockScreen = () => {
+  const { isLocked, needsSetup, unlock, secureWithPassphrase, keepSessionOnly, logout } = useAuth();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (needsSetup && passphrase !== confirm) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (isLocked) {
+        await unlock(passphrase);
+      } else {
+        await secureWithPassphrase(passphrase);
+      }
+    } catch (err) {
+      setError(err.message || 'Could not unlock');
+      setPassphrase('');
+      setConfirm('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleForget = () => {
+    if (window.confirm('Remove all saved accounts from this browser? You will need to enter your API keys again.')) {
+      logout();
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <span className="text-6xl mb-4 block">🔒</span>
+          <h1 className="text-3xl font-bold text-white mb-2">{isLocked ? 'Locked' : 'Secure Your Keys'}</h1>
+          <p className="text-gray-400">
+            {isLocked
+              ? 'Enter your passphrase to unlock your saved accounts'
+              : 'Your API keys are saved unencrypted. Choose a passphrase to encrypt them, or keep them for this session only.'}
+          </p>
+        </div>
+
+        <div className="card">
+          <form onSubmit={handleSubmit} className="space-y-5">
+            {isLocked ? (
+              <div>
+                <label htmlFor="unlockPassphrase" className="block text-sm font-medium text-gray-300 mb-2">
+                  Passphrase
+                </label>
+                <input
+                  type="password"
+                  id="unlockPassphrase"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  className="input"
+                  autoComplete="current-password"
+                  autoFocus
+                  required
+                />
+              </div>
+            ) : (
+              <PassphraseFields
+                passphrase={passphrase}
+                confirm={confirm}
+                onPassphraseChange={setPassphrase}
+                onConfirmChange={setConfirm}
+              />
+            )}
+
+            {error && (
+              <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 text-sm">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading || !passphrase}
+              className="btn-primary w-full flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <LoadingSpinner size="sm" />
+                  <span>{isLocked ? 'Unlocking...' : 'Encrypting...'}</span>
+                </>
+              ) : (
+                isLocked ? 'Unlock' : 'Encrypt and Continue'
+              )}
+            </button>
+          </form>
+
+          <div className="mt-4 flex justify-between text-sm">
+            {needsSetup && (
+              <button onClick={keepSessionOnly} className="text-gray-400 hover:text-white transition-colors">
+                Session only
+              </button>
+            )}
+            <button onClick={handleForget} className="text-gray-500 hover:text-loss transition-colors ml-auto">
+              Forget saved accounts
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,300 @@
+import { useState, useMemo, useCallback, Fragment } from 'react';
+import { Link } from 'react-router-dom';
+import { getOrders, cancelOrder } from '../services/alpacaApi';
+import { useApi, formatCurrency, formatDateTime, formatNumber } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { useOrderUpdates } from '../hooks/useOrderUpdates';
+import { PageLoader } from '../components/LoadingSpinner';
+import { ErrorMessage } from '../components/ErrorMessage';
+import { ConfirmDialog } from '../components/ConfirmDialog';
+import { ReplaceOrderDialog } from '../components/ReplaceOrderDialog';
+import { StreamStatus } from '../components/StreamStatus';
+import { describeOrderPrice, getFillProgress, getOrderTimeline } from '../utils/orders';
+
+const FILTERS = [
+  { id: 'all', label: 'All Open' },
+  { id: 'partially_filled', label: 'Partially Filled' },
+  { id: 'working', label: 'Unfilled' },
+];
+
+const formatQty = (qty) => formatNumber(qty, qty % 1 === 0 ? 0 : 4);
+
+const FillProgress = ({ order }) => {
+  const { filled, total, percent } = getFillProgress(order);
+
+  if (total === null) {
+    return <span className="text-gray-400 text-sm">{formatCurrency(order.notional)} notional</span>;
+  }
+
+  return (
+    <div className="min-w-[120px]">
+      <div className="flex justify-between text-xs font-mono mb-1">
+        <span className={filled > 0 ? 'text-white' : 'text-gray-500'}>{formatQty(filled)}</span>
+        <span className="text-gray-500">/ {formatQty(total)}</span>
+      </div>
+      <div className="h-1.5 bg-dark-600 rounded-full overflow-hidden">
+        <div className="h-full bg-accent rounded-full" style={{ width: `${Math.min(percent, 100)}%` }} />
+      </div>
+    </div>
+  );
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+    status === 'partially_filled'
+      ? 'bg-accent/20 text-accent-hover'
+      : status === 'held'
+        ? 'bg-dark-600 text-gray-400'
+        : 'bg-yellow-500/20 text-yellow-400'
+  }`}>
+    {status.replace(/_/g, ' ')}
+  </span>
+);
+
+const Timeline = ({ order, events }) => (
+  <ol className="space-y-2">
+    {getOrderTimeline(order, events).map((step, index) => (
+      <li key={`${step.label}-${step.time}-${index}`} className="flex items-start gap-3 text-sm">
+        <span className="mt-1.5 w-2 h-2 rounded-full bg-accent flex-shrink-0" />
+        <div>
+          <span className="text-white">{step.label}</span>
+          {step.detail && <span className="text-gray-400 ml-2 font-mono">{step.detail}</span>}
+          <div className="text-xs text-gray-500">{formatDateTime(step.time)}</div>
+        </div>
+      </li>
+    ))}
+  </ol>
+);
+
+export const Orders = () => {
+  const fetchOpenOrders = useCallback(() => getOrders({ status: 'open', nested: true, limit: 500 }), []);
+  const { data: orders, loading, error, execute: refetch } = useApi(
+    fetchOpenOrders,
+    [],
+    true,
+    { key: ['orders', 'open'], ttl: CACHE_TIME.live }
+  );
+  // Order events invalidate the cached open orders, so the table refreshes itself
+  const { eventsByOrder, status: streamStatus } = useOrderUpdates();
+
+  const [filter, setFilter] = useState('all');
+  const [expanded, setExpanded] = useState({});
+  // { kind: 'cancel' | 'replace', order }
+  const [action, setAction] = useState(null);
+
+  const filteredOrders = useMemo(() => {
+    if (!orders) return [];
+    if (filter === 'partially_filled') return orders.filter(o => o.status === 'partially_filled');
+    if (filter === 'working') return orders.filter(o => parseFloat(o.filled_qty || 0) === 0);
+    return orders;
+  }, [orders, filter]);
+
+  const counts = useMemo(() => ({
+    open: orders?.length || 0,
+    partial: orders?.filter(o => o.status === 'partially_filled').length || 0,
+    withLegs: orders?.filter(o => o.legs?.length > 0).length || 0,
+  }), [orders]);
+
+  const toggle = (orderId) => setExpanded(prev => ({ ...prev, [orderId]: !prev[orderId] }));
+
+  const handleCancel = async () => {
+    await cancelOrder(action.order.id);
+    setAction(null);
+  };
+
+  if (loading && !orders) return <PageLoader />;
+  if (error) return <ErrorMessage message={error} onRetry={refetch} />;
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Open Orders</h1>
+          <p className="text-gray-400 flex items-center gap-2">
+            Working and partially filled orders
+            <StreamStatus status={streamStatus} />
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Link
+            to="/trade"
+            className="px-4 py-2.5 rounded-lg text-sm font-medium bg-dark-700 hover:bg-dark-600 text-gray-300 transition-colors"
+          >
+            New Order
+          </Link>
+          <button onClick={() => refetch()} className="btn-primary flex items-center gap-2">
+            <span>🔄</span>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="card">
+          <div className="text-gray-400 text-sm mb-1">Open Orders</div>
+          <div className="text-xl font-semibold text-white">{counts.open}</div>
+        </div>
+        <div className="card">
+          <div className="text-gray-400 text-sm mb-1">Partially Filled</div>
+          <div className="text-xl font-semibold text-white">{counts.partial}</div>
+        </div>
+        <div className="card">
+          <div className="text-gray-400 text-sm mb-1">Bracket / OCO Groups</div>
+          <div className="text-xl font-semibold text-white">{counts.withLegs}</div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-1">
+        {FILTERS.map(f => (
+          <button
+            key={f.id}
+            onClick={() => setFilter(f.id)}
+            className={`tab ${filter === f.id ? 'active' : ''}`}
+          >
+            {f.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Orders Table */}
+      {filteredOrders.length > 0 ? (
+        <div className="card p-0 overflow-hidden">
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Symbol</th>
+                  <th>Side</th>
+                  <th>Type</th>
+                  <th>TIF</th>
+                  <th>Filled / Qty</th>
+                  <th className="text-right">Avg Fill</th>
+                  <th>Status</th>
+                  <th>Submitted</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredOrders.map(order => {
+                  const isOpen = expanded[order.id];
+
+                  return (
+                    <Fragment key={order.id}>
+                      <tr onClick={() => toggle(order.id)} className="cursor-pointer">
+                        <td className="text-gray-500 w-6">{isOpen ? '▾' : '▸'}</td>
+                        <td className="font-semibold text-white">{order.symbol}</td>
+                        <td>
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                            order.side === 'buy' ? 'bg-profit/20 text-profit' : 'bg-loss/20 text-loss'
+                          }`}>
+                            {order.side.toUpperCase()}
+                          </span>
+                        </td>
+                        <td className="text-gray-400 text-sm">
+                          {describeOrderPrice(order)}
+                          {order.legs?.length > 0 && (
+                            <span className="ml-1 text-xs text-gray-500 uppercase">
+                              ({order.order_class}, {order.legs.length} leg{order.legs.length !== 1 ? 's' : ''})
+                            </span>
+                          )}
+                        </td>
+                        <td className="text-gray-400 text-sm uppercase">{order.time_in_force}</td>
+                        <td><FillProgress order={order} /></td>
+                        <td className="text-right font-mono">{formatCurrency(order.filled_avg_price)}</td>
+                        <td><StatusBadge status={order.status} /></td>
+                        <td className="text-gray-400 text-sm">{formatDateTime(order.submitted_at)}</td>
+                        <td>
+                          <div className="flex justify-end gap-1">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setAction({ kind: 'replace', order });
+                              }}
+                              disabled={order.type === 'market'}
+                              className="px-2 py-1 rounded text-xs font-medium bg-dark-600 hover:bg-accent text-gray-300 hover:text-white transition-colors disabled:opacity-50"
+                            >
+                              Replace
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setAction({ kind: 'cancel', order });
+                              }}
+                              className="px-2 py-1 rounded text-xs font-medium bg-red-500/20 hover:bg-red-500/30 text-red-400 transition-colors"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+
+                      {isOpen && (
+                        <tr>
+                          <td colSpan={10} className="bg-dark-700/50">
+                            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 py-2">
+                              <div>
+                                <h4 className="text-sm font-semibold text-gray-300 mb-3">Status Timeline</h4>
+                                <Timeline order={order} events={eventsByOrder[order.id]} />
+                              </div>
+
+                              <div className="lg:col-span-2">
+                                <h4 className="text-sm font-semibold text-gray-300 mb-3">Legs</h4>
+                                {order.legs?.length > 0 ? (
+                                  <div className="space-y-3">
+                                    {order.legs.map(leg => (
+                                      <div key={leg.id} className="bg-dark-800 border border-dark-600 rounded-lg p-3">
+                                        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                                          <div className="text-sm">
+                                            <span className="text-white font-medium">{leg.side.toUpperCase()}</span>
+                                            <span className="text-gray-400 ml-2">{describeOrderPrice(leg)}</span>
+                                          </div>
+                                          <StatusBadge status={leg.status} />
+                                        </div>
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                          <FillProgress order={leg} />
+                                          <Timeline order={leg} events={eventsByOrder[leg.id]} />
+                                        </div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                ) : (
+                                  <p className="text-sm text-gray-500">Simple order, no legs</p>
+                                )}
+                              </div>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : (
+        <div className="card text-center py-12">
+          <span className="text-4xl mb-4 block">📭</span>
+          <h3 className="text-lg font-semibold text-white mb-2">No Open Orders</h3>
+          <p className="text-gray-400">
+            {filter === 'all' ? 'There are no working orders right now.' : 'No open orders match this filter.'}
+          </p>
+        </div>
+      )}
+
+      {action?.kind === 'cancel' && (
+        <ConfirmDialog title="Cancel Order" confirmLabel="Cancel Order" danger onConfirm={handleCancel} onCancel={() => setAction(null)}>
+          Cancel {action.order.side} {action.order.qty} {action.order.symbol} ({describeOrderPrice(action.order)})?
+          {action.order.legs?.length > 0 && ' Its bracket legs are canceled with it.'}
+        </ConfirmDialog>
+      )}
+      {action?.kind === 'replace' && (
+        <ReplaceOrderDialog order={action.order} onReplaced={() => setAction(null)} onCancel={() => setAction(null)} />
+      )}
+    </div>
+  );
+};
@@ -1,9 +1,17 @@
 import { useState, useMemo } from 'react';
-import { getAccount, getPortfolioHistory, getPositions } from '../services/alpacaApi';
+import { getAccount, getPortfolioHistory, getPositions, getAllBars } from '../services/alpacaApi';
+import { getArchivedActivities } from '../services/orderArchive';
 import { useApi, formatCurrency, formatPercent } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
 import { PageLoader } from '../components/LoadingSpinner';
 import { ErrorMessage } from '../components/ErrorMessage';
 import { StatCard } from '../components/StatCard';
+import { BenchmarkInput } from '../components/BenchmarkInput';
+import { useSettings } from '../hooks/useSettings';
+import { buildLedger, summarizeLedger, TRANSFER_TYPES } from '../utils/ledger';
+import { calculateTWR, calculateMWR } from '../utils/returns';
+import { buildReturnIndex, calculateDrawdownSeries, findDrawdowns } from '../utils/riskMetrics';
+import { normalizeBenchmark, toBarTimeframe } from '../utils/benchmark';
 import {
   ResponsiveContainer,
   AreaChart,
@@ -12,6 +20,8 @@ import {
   YAxis,
   Tooltip,
   CartesianGrid,
+  ReferenceArea,
+  ReferenceDot,
 } from 'recharts';
 import { format, parseISO } from 'date-fns';
 
@@ -24,23 +34,47 @@ const TIMEFRAMES = [
   { label: 'ALL', period: 'all', timeframe: '1D' },
 ];
 
-const CustomTooltip = ({ active, payload, label }) => {
+const CustomTooltip = ({ active, payload }) => {
   if (active && payload && payload.length) {
+    const equity = payload.find(p => p.dataKey === 'equity');
+    const benchmark = payload.find(p => p.dataKey === 'benchmark' && p.value !== null);
     return (
       <div className="bg-dark-700 border border-dark-500 rounded-lg p-3 shadow-xl">
-        <p className="text-gray-400 text-xs mb-1">{label}</p>
-        <p className="text-white font-semibold">{formatCurrency(payload[0].value)}</p>
+        <p className="text-gray-400 text-xs mb-1">{payload[0].payload.date}</p>
+        <p className="text-white font-semibold">{formatCurrency(equity?.value ?? payload[0].value)}</p>
+        {benchmark && (
+          <p className="text-gray-400 text-xs mt-1">
+            {benchmark.payload.benchmarkSymbol}: {formatCurrency(benchmark.value)} ({formatPercent(benchmark.payload.benchmarkReturn)})
+          </p>
+        )}
+      </div>
+    );
+  }
+  return null;
+};
+
+const DrawdownTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    return (
+      <div className="bg-dark-700 border border-dark-500 rounded-lg p-3 shadow-xl">
+        <p className="text-gray-400 text-xs mb-1">{payload[0].payload.date}</p>
+        <p className="text-loss font-semibold">{payload[0].value.toFixed(2)}%</p>
       </div>
     );
   }
   return null;
 };
 
+// Number of worst drawdowns labeled under the equity chart
+const LABELED_DRAWDOWNS = 3;
+
 export const Overview = () => {
   const [selectedTimeframe, setSelectedTimeframe] = useState(TIMEFRAMES[0]); // 1D default
+  const [highlightedDrawdown, setHighlightedDrawdown] = useState(null);
+  const { settings } = useSettings();
 
-  const { data: account, loading: accountLoading, error: accountError, execute: refetchAccount } = useApi(getAccount, []);
-  const { data: positions, loading: positionsLoading } = useApi(getPositions, []);
+  const { data: account, loading: accountLoading, error: accountError, execute: refetchAccount } = useApi(getAccount, [], true, { key: ['account'], ttl: CACHE_TIME.live });
+  const { data: positions, loading: positionsLoading } = useApi(getPositions, [], true, { key: ['positions'], ttl: CACHE_TIME.live });
   const {
     data: portfolioHistory,
     loading: historyLoading,
@@ -48,28 +82,60 @@ export const Overview = () => {
     execute: fetchHistory
   } = useApi(
     () => getPortfolioHistory({ period: selectedTimeframe.period, timeframe: selectedTimeframe.timeframe }),
-    [selectedTimeframe]
+    [selectedTimeframe],
+    true,
+    { key: ['portfolio-history', selectedTimeframe.period, selectedTimeframe.timeframe], ttl: CACHE_TIME.history }
   );
 
   // Fetch ALL history to get starting balance
   const { data: allTimeHistory } = useApi(
     () => getPortfolioHistory({ period: 'all', timeframe: '1D' }),
-    []
+    [],
+    true,
+    { key: ['portfolio-history', 'all', '1D'], ttl: CACHE_TIME.history }
   );
 
-  // Calculate starting balance and all-time P/L
-  const { startingBalance, allTimePL, allTimePLPercent } = useMemo(() => {
+  // Deposits, withdrawals and cash journals, so they are not counted as profit
+  const { data: transferActivities } = useApi(
+    () => getArchivedActivities(TRANSFER_TYPES),
+    [],
+    true,
+    { key: ['activities', 'transfers'], ttl: CACHE_TIME.history }
+  );
+
+  const transfers = useMemo(() => buildLedger(transferActivities || []), [transferActivities]);
+
+  // Calculate starting balance and all-time P/L net of deposits made after the first snapshot
+  const { startingBalance, netDeposits, allTimePL, allTimePLPercent, allTimeTWR } = useMemo(() => {
     if (!allTimeHistory?.equity || allTimeHistory.equity.length === 0) {
-      return { startingBalance: 0, allTimePL: 0, allTimePLPercent: 0 };
+      return { startingBalance: 0, netDeposits: 0, allTimePL: 0, allTimePLPercent: 0, allTimeTWR: null };
     }
 
     const firstEquity = allTimeHistory.equity[0];
     const currentEquity = allTimeHistory.equity[allTimeHistory.equity.length - 1];
-    const pl = currentEquity - firstEquity;
-    const plPercent = firstEquity > 0 ? (pl / firstEquity) * 100 : 0;
+    const firstDate = format(new Date(allTimeHistory.timestamp[0] * 1000), 'yyyy-MM-dd');
+
+    const laterTransfers = transfers.filter(entry => entry.date.slice(0, 10) > firstDate);
+    const deposits = summarizeLedger(laterTransfers).netDeposits;
+
+    const pl = currentEquity - firstEquity - deposits;
+    const invested = firstEquity + Math.max(deposits, 0);
+    const plPercent = invested > 0 ? (pl / invested) * 100 : 0;
+
+    const points = allTimeHistory.timestamp.map((ts, idx) => ({ timestamp: ts * 1000, equity: allTimeHistory.equity[idx] }));
+
+    return {
+      startingBalance: firstEquity,
+      netDeposits: deposits,
+      allTimePL: pl,
+      allTimePLPercent: plPercent,
+      allTimeTWR: calculateTWR(points, laterTransfers),
+    };
+  }, [allTimeHistory, transfers]);
 
-    return { startingBalance: firstEquity, allTimePL: pl, allTimePLPercent: plPercent };
-  }, [allTimeHistory]);
+  // Labels repeat within a day on intraday timeframes, so the charts are keyed by timestamp
+  const labelFormat = selectedTimeframe.period === '1D' ? 'h:mm a' : 'MMM d';
+  const formatTimestamp = (timestamp) => format(new Date(timestamp), labelFormat);
 
   const chartData = useMemo(() => {
     if (!portfolioHistory?.timestamp || !portfolioHistory?.equity) return [];
@@ -77,9 +143,9 @@ export const Overview = () => {
     return portfolioHistory.timestamp.map((ts, idx) => ({
       timestamp: ts * 1000,
       equity: portfolioHistory.equity[idx],
-      date: format(new Date(ts * 1000), selectedTimeframe.period === '1D' ? 'h:mm a' : 'MMM d'),
+      date: format(new Date(ts * 1000), labelFormat),
     }));
-  }, [portfolioHistory, selectedTimeframe]);
+  }, [portfolioHistory, labelFormat]);
 
   const { totalUnrealizedPL, totalUnrealizedPLPercent } = useMemo(() => {
     if (!positions) return { totalUnrealizedPL: 0, totalUnrealizedPLPercent: 0 };
@@ -107,6 +173,81 @@ export const Overview = () => {
     return { startEquity: start, endEquity: end, periodChange: change, periodChangePercent: changePercent };
   }, [chartData]);
 
+  const rangeStart = chartData.length ? new Date(chartData[0].timestamp).toISOString() : null;
+  const rangeEnd = chartData.length ? new Date(chartData[chartData.length - 1].timestamp).toISOString() : null;
+
+  const { data: benchmarkBars } = useApi(
+    () => rangeStart
+      ? getAllBars(settings.benchmarkSymbol, {
+        timeframe: toBarTimeframe(selectedTimeframe.timeframe),
+        start: rangeStart,
+        end: rangeEnd,
+      })
+      : Promise.resolve([]),
+    [settings.benchmarkSymbol, rangeStart, rangeEnd],
+    true,
+    { key: ['bars', settings.benchmarkSymbol, selectedTimeframe.timeframe, rangeStart, rangeEnd], ttl: CACHE_TIME.static }
+  );
+
+  // Benchmark return rescaled to the starting equity so both lines share the dollar axis
+  const { equityChartData, benchmarkReturn } = useMemo(() => {
+    if (!benchmarkBars?.length) return { equityChartData: chartData, benchmarkReturn: null };
+
+    const normalized = normalizeBenchmark(chartData, benchmarkBars);
+    const last = [...normalized].reverse().find(value => value !== null);
+
+    return {
+      equityChartData: chartData.map((point, idx) => ({
+        ...point,
+        benchmark: normalized[idx] !== null ? startEquity * (1 + normalized[idx] / 100) : null,
+        benchmarkReturn: normalized[idx],
+        benchmarkSymbol: settings.benchmarkSymbol,
+      })),
+      benchmarkReturn: last ?? null,
+    };
+  }, [chartData, benchmarkBars, startEquity, settings.benchmarkSymbol]);
+
+  // Deposit-adjusted returns for the selected timeframe, shown next to the raw change
+  const { periodTWR, periodMWR } = useMemo(() => {
+    if (chartData.length < 2) {
+      return { periodTWR: null, periodMWR: { period: null, reason: 'Not enough data in this period' } };
+    }
+
+    return {
+      periodTWR: calculateTWR(chartData, transfers),
+      periodMWR: calculateMWR(chartData, transfers),
+    };
+  }, [chartData, transfers]);
+
+  // Percent below the running peak, using flow-adjusted returns so deposits don't hide drawdowns
+  const { drawdownData, worstDrawdowns } = useMemo(() => {
+    if (chartData.length < 2) return { drawdownData: [], worstDrawdowns: [] };
+
+    const index = buildReturnIndex(chartData, transfers);
+    const drawdownByTimestamp = new Map(
+      calculateDrawdownSeries(index).map(point => [point.timestamp, point.drawdown])
+    );
+    const dateByTimestamp = new Map(chartData.map(point => [point.timestamp, point.date]));
+    const last = chartData[chartData.length - 1];
+
+    return {
+      drawdownData: chartData.map(point => ({
+        timestamp: point.timestamp,
+        date: point.date,
+        drawdown: drawdownByTimestamp.get(point.timestamp) ?? 0,
+      })),
+      worstDrawdowns: findDrawdowns(index)
+        .slice(0, LABELED_DRAWDOWNS)
+        .filter(episode => episode.depth < 0)
+        .map(episode => ({
+          ...episode,
+          peakLabel: dateByTimestamp.get(episode.peakDate),
+          troughLabel: dateByTimestamp.get(episode.troughDate),
+          endDate: episode.recoveryDate ?? last.timestamp,
+        })),
+    };
+  }, [chartData, transfers]);
+
   const chartColor = periodChange >= 0 ? '#22c55e' : '#ef4444';
 
   if (accountLoading && !account) return <PageLoader />;
@@ -121,12 +262,18 @@ export const Overview = () => {
       </div>
 
       {/* Stats Grid */}
-      <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 sm:gap-4">
+      <div className="grid grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-3 sm:gap-4">
         <StatCard
           label="Starting Balance"
           value={formatCurrency(startingBalance)}
           icon="🏦"
         />
+        <StatCard
+          label="Net Deposits"
+          value={formatCurrency(netDeposits)}
+          subValue="Since first snapshot"
+          icon="🏧"
+        />
         <StatCard
           label="Portfolio Value"
           value={formatCurrency(account?.equity)}
@@ -135,7 +282,7 @@ export const Overview = () => {
         <StatCard
           label="All-Time P/L"
           value={formatCurrency(allTimePL)}
-          subValue={formatPercent(allTimePLPercent)}
+          subValue={`${formatPercent(allTimePLPercent)} · TWR ${formatPercent(allTimeTWR)}`}
           trend={allTimePL}
           icon="📊"
         />
@@ -164,19 +311,41 @@ export const Overview = () => {
                 {periodChange >= 0 ? '+' : ''}{formatCurrency(periodChange)} ({formatPercent(periodChangePercent)})
               </span>
             </div>
+            <div className="flex gap-4 mt-1 text-sm">
+              <span className="text-gray-400" title="Time-weighted return, excludes deposits and withdrawals">
+                TWR <span className={periodTWR >= 0 ? 'text-profit' : 'text-loss'}>{formatPercent(periodTWR)}</span>
+              </span>
+              <span className="text-gray-400" title="Money-weighted return (XIRR) over the period">
+                MWR{' '}
+                {periodMWR.period === null ? (
+                  <span className="text-gray-500" title={periodMWR.reason}>n/a</span>
+                ) : (
+                  <span className={periodMWR.period >= 0 ? 'text-profit' : 'text-loss'}>{formatPercent(periodMWR.period)}</span>
+                )}
+              </span>
+              {benchmarkReturn !== null && (
+                <span className="text-gray-400">
+                  {settings.benchmarkSymbol} <span className={benchmarkReturn >= 0 ? 'text-profit' : 'text-loss'}>{formatPercent(benchmarkReturn)}</span>
+                </span>
+              )}
+            </div>
           </div>
 
-          {/* Timeframe Selector */}
-          <div className="flex gap-1 bg-dark-700 p-1 rounded-lg">
-            {TIMEFRAMES.map((tf) => (
-              <button
-                key={tf.label}
-                onClick={() => setSelectedTimeframe(tf)}
-                className={`tab ${selectedTimeframe.label === tf.label ? 'active' : ''}`}
-              >
-                {tf.label}
-              </button>
-            ))}
+          <div className="flex flex-wrap items-center gap-3">
+            <BenchmarkInput />
+
+            {/* Timeframe Selector */}
+            <div className="flex gap-1 bg-dark-700 p-1 rounded-lg">
+              {TIMEFRAMES.map((tf) => (
+                <button
+                  key={tf.label}
+                  onClick={() => setSelectedTimeframe(tf)}
+                  className={`tab ${selectedTimeframe.label === tf.label ? 'active' : ''}`}
+                >
+                  {tf.label}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
 
@@ -191,7 +360,7 @@ export const Overview = () => {
           </div>
         ) : chartData.length > 0 ? (
           <ResponsiveContainer width="100%" height={300}>
-            <AreaChart data={chartData}>
+            <AreaChart data={equityChartData}>
               <defs>
                 <linearGradient id="colorEquity" x1="0" y1="0" x2="0" y2="1">
                   <stop offset="5%" stopColor={chartColor} stopOpacity={0.3} />
@@ -200,7 +369,8 @@ export const Overview = () => {
               </defs>
               <CartesianGrid strokeDasharray="3 3" stroke="#2e2e3a" />
               <XAxis
-                dataKey="date"
+                dataKey="timestamp"
+                tickFormatter={formatTimestamp}
                 stroke="#6b7280"
                 tick={{ fill: '#9ca3af', fontSize: 12 }}
                 axisLine={{ stroke: '#2e2e3a' }}
@@ -221,6 +391,26 @@ export const Overview = () => {
                 fillOpacity={1}
                 fill="url(#colorEquity)"
               />
+              <Area
+                type="monotone"
+                dataKey="benchmark"
+                stroke="#9ca3af"
+                strokeWidth={1.5}
+                strokeDasharray="4 4"
+                fill="none"
+                connectNulls
+                isAnimationActive={false}
+              />
+              {highlightedDrawdown && (
+                <ReferenceArea
+                  x1={highlightedDrawdown.peakDate}
+                  x2={highlightedDrawdown.endDate}
+                  fill="#ef4444"
+                  fillOpacity={0.12}
+                  stroke="#ef4444"
+                  strokeOpacity={0.4}
+                />
+              )}
             </AreaChart>
           </ResponsiveContainer>
         ) : (
@@ -228,6 +418,74 @@ export const Overview = () => {
             No data available for this timeframe
           </div>
         )}
+
+        {/* Drawdown (underwater) chart */}
+        {!historyLoading && !historyError && drawdownData.length > 0 && (
+          <div className="mt-6 pt-6 border-t border-dark-600">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+              <h3 className="text-sm font-semibold text-gray-300">Drawdown from Peak</h3>
+              <div className="flex flex-wrap gap-2">
+                {worstDrawdowns.map((episode, idx) => (
+                  <button
+                    key={episode.peakDate}
+                    onMouseEnter={() => setHighlightedDrawdown(episode)}
+                    onMouseLeave={() => setHighlightedDrawdown(null)}
+                    onFocus={() => setHighlightedDrawdown(episode)}
+                    onBlur={() => setHighlightedDrawdown(null)}
+                    className="px-2 py-1 rounded-lg text-xs bg-loss/10 text-loss hover:bg-loss/20 transition-colors"
+                  >
+                    #{idx + 1} {episode.depth.toFixed(2)}% · {episode.peakLabel} → {episode.troughLabel}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <ResponsiveContainer width="100%" height={160}>
+              <AreaChart data={drawdownData}>
+                <defs>
+                  <linearGradient id="colorDrawdown" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#ef4444" stopOpacity={0} />
+                    <stop offset="95%" stopColor="#ef4444" stopOpacity={0.3} />
+                  </linearGradient>
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2e2e3a" />
+                <XAxis
+                  dataKey="timestamp"
+                  tickFormatter={formatTimestamp}
+                  stroke="#6b7280"
+                  tick={{ fill: '#9ca3af', fontSize: 12 }}
+                  axisLine={{ stroke: '#2e2e3a' }}
+                />
+                <YAxis
+                  stroke="#6b7280"
+                  tick={{ fill: '#9ca3af', fontSize: 12 }}
+                  axisLine={{ stroke: '#2e2e3a' }}
+                  tickFormatter={(value) => `${value.toFixed(0)}%`}
+                  domain={['dataMin', 0]}
+                />
+                <Tooltip content={<DrawdownTooltip />} />
+                <Area
+                  type="monotone"
+                  dataKey="drawdown"
+                  stroke="#ef4444"
+                  strokeWidth={1.5}
+                  fillOpacity={1}
+                  fill="url(#colorDrawdown)"
+                />
+                {worstDrawdowns.map((episode, idx) => (
+                  <ReferenceDot
+                    key={episode.peakDate}
+                    x={episode.troughDate}
+                    y={episode.depth}
+                    r={4}
+                    fill="#ef4444"
+                    stroke="none"
+                    label={{ value: `#${idx + 1}`, position: 'bottom', fill: '#9ca3af', fontSize: 11 }}
+                  />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        )}
       </div>
 
       {/* Additional Account Info */}
@@ -1,9 +1,15 @@
 import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getPositions } from '../services/alpacaApi';
+import { getPositions, closePosition, closeAllPositions } from '../services/alpacaApi';
 import { useApi, formatCurrency, formatPercent, formatNumber } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { useLivePositions } from '../hooks/useLivePositions';
 import { PageLoader } from '../components/LoadingSpinner';
 import { ErrorMessage } from '../components/ErrorMessage';
+import { ExportMenu } from '../components/ExportMenu';
+import { ConfirmDialog } from '../components/ConfirmDialog';
+import { StreamStatus } from '../components/StreamStatus';
+import { POSITION_COLUMNS } from '../utils/exportData';
 
 const SORT_OPTIONS = {
   symbol: (a, b) => a.symbol.localeCompare(b.symbol),
@@ -22,9 +28,18 @@ const SORT_OPTIONS = {
 
 export const Positions = () => {
   const navigate = useNavigate();
-  const { data: positions, loading, error, execute: refetch } = useApi(getPositions, []);
+  const { data: fetchedPositions, loading, error, execute: refetch } = useApi(
+    getPositions,
+    [],
+    true,
+    { key: ['positions'], ttl: CACHE_TIME.live }
+  );
+  // Prices update in place from the market data stream; fills invalidate the cached positions
+  const { positions, marketStatus } = useLivePositions(fetchedPositions);
   const [sortBy, setSortBy] = useState('symbol');
   const [sortAsc, setSortAsc] = useState(true);
+  // { kind: 'close', position } or { kind: 'close-all' }
+  const [closing, setClosing] = useState(null);
 
   const sortedPositions = useMemo(() => {
     if (!positions) return [];
@@ -63,6 +78,15 @@ export const Positions = () => {
     }, { marketValue: 0, costBasis: 0, unrealizedPL: 0 });
   }, [positions]);
 
+  const handleClose = async () => {
+    if (closing.kind === 'close-all') {
+      await closeAllPositions(true);
+    } else {
+      await closePosition(closing.position.symbol);
+    }
+    setClosing(null);
+  };
+
   if (loading && !positions) return <PageLoader />;
   if (error) return <ErrorMessage message={error} onRetry={refetch} />;
 
@@ -72,17 +96,32 @@ export const Positions = () => {
       <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
         <div>
           <h1 className="text-2xl font-bold text-white mb-1">Current Positions</h1>
-          <p className="text-gray-400">
+          <p className="text-gray-400 flex items-center gap-2">
             {positions?.length || 0} open position{positions?.length !== 1 ? 's' : ''}
+            <StreamStatus status={marketStatus} />
           </p>
         </div>
-        <button
-          onClick={() => refetch()}
-          className="btn-primary flex items-center gap-2"
-        >
-          <span>🔄</span>
-          Refresh
-        </button>
+        <div className="flex items-center gap-2">
+          <ExportMenu
+            datasets={[
+              { id: 'positions', label: 'Positions', name: 'positions', rows: sortedPositions, columns: POSITION_COLUMNS },
+            ]}
+          />
+          <button
+            onClick={() => setClosing({ kind: 'close-all' })}
+            disabled={!positions?.length}
+            className="px-4 py-2.5 rounded-lg text-sm font-medium bg-red-500/20 hover:bg-red-500/30 text-red-400 transition-colors disabled:opacity-50"
+          >
+            Close All
+          </button>
+          <button
+            onClick={() => refetch()}
+            className="btn-primary flex items-center gap-2"
+          >
+            <span>🔄</span>
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Summary Cards */}
@@ -137,6 +176,7 @@ export const Positions = () => {
                   <th onClick={() => handleSort('unrealized_plpc')} className="text-right">
                     P/L (%) {getSortIcon('unrealized_plpc')}
                   </th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
@@ -171,6 +211,17 @@ export const Positions = () => {
                       <td className={`text-right font-mono ${isProfit ? 'text-profit' : 'text-loss'}`}>
                         {formatPercent(unrealizedPLPC)}
                       </td>
+                      <td>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setClosing({ kind: 'close', position });
+                          }}
+                          className="px-2 py-1 rounded text-xs font-medium bg-red-500/20 hover:bg-red-500/30 text-red-400 transition-colors"
+                        >
+                          Close
+                        </button>
+                      </td>
                     </tr>
                   );
                 })}
@@ -186,6 +237,20 @@ export const Positions = () => {
         </div>
       )}
 
+      {closing && (
+        <ConfirmDialog
+          title={closing.kind === 'close-all' ? 'Close All Positions' : `Close ${closing.position.symbol}`}
+          confirmLabel={closing.kind === 'close-all' ? 'Close All' : 'Close Position'}
+          danger
+          onConfirm={handleClose}
+          onCancel={() => setClosing(null)}
+        >
+          {closing.kind === 'close-all'
+            ? `Liquidate all ${positions.length} positions at market and cancel every open order?`
+            : `${closing.position.side === 'short' ? 'Buy to cover' : 'Sell'} ${Math.abs(parseFloat(closing.position.qty))} ${closing.position.symbol} at market (about ${formatCurrency(Math.abs(parseFloat(closing.position.market_value)))})?`}
+        </ConfirmDialog>
+      )}
+
       {/* Help Text */}
       <p className="text-sm text-gray-500 text-center">
         Click on a position to view its trade history
@@ -0,0 +1,173 @@
+import { useState, useMemo } from 'react';
+import { getArchivedClosedOrders } from '../services/orderArchive';
+import { useApi, formatCurrency, formatDate, formatNumber } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { useLocalStorage, useAccountStorage } from '../hooks/useLocalStorage';
+import { OrderSyncLoader } from '../components/LoadingSpinner';
+import { ErrorMessage } from '../components/ErrorMessage';
+import { ExportMenu } from '../components/ExportMenu';
+import { matchRoundTrips, LOT_METHODS } from '../utils/tradeMatching';
+import { buildTaxLots, getTaxYears, summarizeTaxYear, FORM_8949_COLUMNS } from '../utils/taxReport';
+
+const TERMS = [
+  { id: 'short', label: 'Part I — Short-Term', note: 'Held one year or less' },
+  { id: 'long', label: 'Part II — Long-Term', note: 'Held more than one year' },
+];
+
+const GainCell = ({ value }) => (
+  <td className={`text-right font-mono ${value >= 0 ? 'text-profit' : 'text-loss'}`}>
+    {value >= 0 ? '+' : ''}{formatCurrency(value)}
+  </td>
+);
+
+export const TaxReport = () => {
+  // Lots acquired in earlier years still need their buys, so match over the whole history
+  const [syncProgress, setSyncProgress] = useState(null);
+  const { data: orders, loading, error, execute: fetchOrders } = useApi(
+    () => getArchivedClosedOrders(null, null, { onProgress: setSyncProgress }),
+    [],
+    true,
+    { key: ['orders', 'closed', null, null], ttl: CACHE_TIME.history }
+  );
+
+  // Same lot relief method Trade History is set to, so both views agree
+  const [lotMethod] = useLocalStorage('alpaca_lot_method', 'fifo');
+  const [lotSelections] = useAccountStorage('alpaca_lot_selections', {});
+  const activeMethod = LOT_METHODS.find(m => m.id === lotMethod) || LOT_METHODS[0];
+
+  const lots = useMemo(() => {
+    if (!orders) return [];
+    const { roundTrips } = matchRoundTrips(orders, { method: activeMethod.id, lotSelections, washSales: true });
+    return buildTaxLots(roundTrips);
+  }, [orders, activeMethod, lotSelections]);
+
+  const years = useMemo(() => getTaxYears(lots), [lots]);
+  const [selectedYear, setSelectedYear] = useState(null);
+  const year = selectedYear ?? years[0] ?? new Date().getFullYear();
+
+  const yearLots = useMemo(
+    () => lots.filter(lot => lot.year === year).sort((a, b) => new Date(a.dateSold) - new Date(b.dateSold)),
+    [lots, year]
+  );
+  const totals = useMemo(() => summarizeTaxYear(yearLots), [yearLots]);
+
+  if (loading && !orders) return <OrderSyncLoader progress={syncProgress} />;
+  if (error) return <ErrorMessage message={error} onRetry={fetchOrders} />;
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Tax Report</h1>
+          <p className="text-gray-400">Realized gains in Form 8949 layout ({activeMethod.label} lot relief)</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={year}
+            onChange={(e) => setSelectedYear(parseInt(e.target.value, 10))}
+            className="input w-32"
+          >
+            {(years.length > 0 ? years : [year]).map(y => (
+              <option key={y} value={y}>{y}</option>
+            ))}
+          </select>
+          <ExportMenu
+            datasets={[
+              { id: 'form-8949', label: `Form 8949 (${year})`, name: `form-8949-${year}`, rows: yearLots, columns: FORM_8949_COLUMNS },
+            ]}
+          />
+        </div>
+      </div>
+
+      {/* Schedule D Summary */}
+      <div className="card p-0 overflow-hidden">
+        <div className="p-4 border-b border-dark-600">
+          <h3 className="font-semibold text-white">Schedule D Summary — {year}</h3>
+        </div>
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Term</th>
+                <th className="text-right">Lots</th>
+                <th className="text-right">Proceeds</th>
+                <th className="text-right">Cost Basis</th>
+                <th className="text-right">Adjustments</th>
+                <th className="text-right">Gain / (Loss)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {TERMS.map(term => (
+                <tr key={term.id}>
+                  <td className="font-semibold text-white">{term.id === 'short' ? 'Short-Term' : 'Long-Term'}</td>
+                  <td className="text-right font-mono">{totals[term.id].count}</td>
+                  <td className="text-right font-mono">{formatCurrency(totals[term.id].proceeds)}</td>
+                  <td className="text-right font-mono">{formatCurrency(totals[term.id].costBasis)}</td>
+                  <td className="text-right font-mono">{formatCurrency(totals[term.id].adjustment)}</td>
+                  <GainCell value={totals[term.id].gain} />
+                </tr>
+              ))}
+              <tr>
+                <td className="font-semibold text-white">Total</td>
+                <td className="text-right font-mono">{totals.short.count + totals.long.count}</td>
+                <td className="text-right font-mono">{formatCurrency(totals.short.proceeds + totals.long.proceeds)}</td>
+                <td className="text-right font-mono">{formatCurrency(totals.short.costBasis + totals.long.costBasis)}</td>
+                <td className="text-right font-mono">{formatCurrency(totals.short.adjustment + totals.long.adjustment)}</td>
+                <GainCell value={totals.short.gain + totals.long.gain} />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Form 8949 Parts */}
+      {TERMS.map(term => {
+        const termLots = yearLots.filter(lot => lot.term === term.id);
+
+        return (
+          <div key={term.id} className="card p-0 overflow-hidden">
+            <div className="p-4 border-b border-dark-600">
+              <h3 className="font-semibold text-white">{term.label}</h3>
+              <p className="text-sm text-gray-500">{term.note}</p>
+            </div>
+            {termLots.length > 0 ? (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Description</th>
+                      <th>Acquired</th>
+                      <th>Sold</th>
+                      <th className="text-right">Proceeds</th>
+                      <th className="text-right">Cost Basis</th>
+                      <th>Code</th>
+                      <th className="text-right">Adjustment</th>
+                      <th className="text-right">Gain / (Loss)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {termLots.map(lot => (
+                      <tr key={lot.id}>
+                        <td className="font-semibold text-white">{lot.description}</td>
+                        <td className="text-gray-400 text-sm">{formatDate(lot.dateAcquired)}</td>
+                        <td className="text-gray-400 text-sm">{formatDate(lot.dateSold)}</td>
+                        <td className="text-right font-mono">{formatCurrency(lot.proceeds)}</td>
+                        <td className="text-right font-mono">{formatCurrency(lot.costBasis)}</td>
+                        <td className="text-gray-400 text-sm">{lot.adjustmentCode || '-'}</td>
+                        <td className="text-right font-mono">{lot.adjustment ? formatNumber(lot.adjustment) : '-'}</td>
+                        <GainCell value={lot.gain} />
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="p-4 text-gray-500">No {term.id}-term sales in {year}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
@@ -0,0 +1,163 @@
+import { useState, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getOrders, cancelOrder, cancelAllOrders } from '../services/alpacaApi';
+import { useApi, formatCurrency, formatDateTime, formatNumber } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { ErrorMessage } from '../components/ErrorMessage';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { OrderTicket } from '../components/OrderTicket';
+import { ConfirmDialog } from '../components/ConfirmDialog';
+import { ReplaceOrderDialog } from '../components/ReplaceOrderDialog';
+import { describeOrderPrice } from '../utils/orders';
+
+export const Trade = () => {
+  const [searchParams] = useSearchParams();
+  const fetchOpenOrders = useCallback(() => getOrders({ status: 'open', nested: true, limit: 500 }), []);
+  const { data: openOrders, loading, error, execute: refetch } = useApi(
+    fetchOpenOrders,
+    [],
+    true,
+    { key: ['orders', 'open'], ttl: CACHE_TIME.live }
+  );
+
+  // { kind: 'cancel' | 'replace' | 'cancel-all', order? }
+  const [action, setAction] = useState(null);
+
+  // Mutations invalidate the cached orders, so the list refreshes on its own
+  const handleCancel = async () => {
+    await cancelOrder(action.order.id);
+    setAction(null);
+  };
+
+  const handleCancelAll = async () => {
+    await cancelAllOrders();
+    setAction(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white mb-1">Trade</h1>
+        <p className="text-gray-400">Place orders and manage working orders</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <OrderTicket
+          key={searchParams.get('symbol') || ''}
+          initialSymbol={searchParams.get('symbol') || ''}
+        />
+
+        {/* Open Orders */}
+        <div className="card p-0 overflow-hidden lg:col-span-2">
+          <div className="p-4 border-b border-dark-600 flex items-center justify-between gap-2">
+            <h3 className="font-semibold text-white">
+              Open Orders {openOrders ? `(${openOrders.length})` : ''}
+            </h3>
+            <div className="flex items-center gap-2">
+              {loading && <LoadingSpinner size="sm" />}
+              <Link to="/orders" className="text-sm text-accent hover:text-accent-hover">
+                Fill details
+              </Link>
+              <button
+                onClick={() => refetch()}
+                className="px-3 py-1.5 rounded-lg text-sm bg-dark-700 hover:bg-dark-600 text-gray-300 transition-colors"
+              >
+                Refresh
+              </button>
+              <button
+                onClick={() => setAction({ kind: 'cancel-all' })}
+                disabled={!openOrders?.length}
+                className="px-3 py-1.5 rounded-lg text-sm bg-red-500/20 hover:bg-red-500/30 text-red-400 transition-colors disabled:opacity-50"
+              >
+                Cancel All
+              </button>
+            </div>
+          </div>
+
+          {error ? (
+            <div className="p-4">
+              <ErrorMessage message={error} onRetry={refetch} />
+            </div>
+          ) : openOrders?.length > 0 ? (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Symbol</th>
+                    <th>Side</th>
+                    <th>Type</th>
+                    <th className="text-right">Qty</th>
+                    <th>TIF</th>
+                    <th>Status</th>
+                    <th>Submitted</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {openOrders.map(order => (
+                    <tr key={order.id}>
+                      <td className="font-semibold text-white">{order.symbol}</td>
+                      <td>
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                          order.side === 'buy' ? 'bg-profit/20 text-profit' : 'bg-loss/20 text-loss'
+                        }`}>
+                          {order.side.toUpperCase()}
+                        </span>
+                      </td>
+                      <td className="text-gray-400 text-sm">
+                        {describeOrderPrice(order)}
+                        {order.order_class && order.order_class !== 'simple' && (
+                          <span className="ml-1 text-xs text-gray-500 uppercase">({order.order_class})</span>
+                        )}
+                      </td>
+                      <td className="text-right font-mono">
+                        {order.qty ? formatNumber(order.qty, order.qty % 1 === 0 ? 0 : 4) : formatCurrency(order.notional)}
+                      </td>
+                      <td className="text-gray-400 text-sm uppercase">{order.time_in_force}</td>
+                      <td className="text-gray-400 text-sm">{order.status.replace('_', ' ')}</td>
+                      <td className="text-gray-400 text-sm">{formatDateTime(order.submitted_at)}</td>
+                      <td>
+                        <div className="flex justify-end gap-1">
+                          <button
+                            onClick={() => setAction({ kind: 'replace', order })}
+                            disabled={order.type === 'market'}
+                            className="px-2 py-1 rounded text-xs font-medium bg-dark-600 hover:bg-accent text-gray-300 hover:text-white transition-colors disabled:opacity-50"
+                          >
+                            Replace
+                          </button>
+                          <button
+                            onClick={() => setAction({ kind: 'cancel', order })}
+                            className="px-2 py-1 rounded text-xs font-medium bg-red-500/20 hover:bg-red-500/30 text-red-400 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="p-4 text-gray-500">{loading ? 'Loading open orders...' : 'No open orders'}</p>
+          )}
+        </div>
+      </div>
+
+      {action?.kind === 'cancel' && (
+        <ConfirmDialog title="Cancel Order" confirmLabel="Cancel Order" danger onConfirm={handleCancel} onCancel={() => setAction(null)}>
+          Cancel {action.order.side} {action.order.qty} {action.order.symbol} ({describeOrderPrice(action.order)})?
+        </ConfirmDialog>
+      )}
+      {action?.kind === 'cancel-all' && (
+        <ConfirmDialog title="Cancel All Orders" confirmLabel="Cancel All" danger onConfirm={handleCancelAll} onCancel={() => setAction(null)}>
+          Cancel all {openOrders?.length} open orders?
+        </ConfirmDialog>
+      )}
+      {action?.kind === 'replace' && (
+        <ReplaceOrderDialog order={action.order} onReplaced={() => setAction(null)} onCancel={() => setAction(null)} />
+      )}
+    </div>
+  );
+};
@@ -1,10 +1,38 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { getAllClosedOrders } from '../services/alpacaApi';
-import { useApi, formatCurrency, formatDateTime, formatNumber } from '../hooks/useApi';
-import { PageLoader } from '../components/LoadingSpinner';
+import { getArchivedClosedOrders } from '../services/orderArchive';
+import { useApi, formatCurrency, formatDate, formatDateTime, formatNumber } from '../hooks/useApi';
+import { CACHE_TIME } from '../services/queryCache';
+import { OrderSyncLoader } from '../components/LoadingSpinner';
 import { ErrorMessage } from '../components/ErrorMessage';
-import { format, subMonths, parseISO } from 'date-fns';
+import { ExportMenu } from '../components/ExportMenu';
+import { useLocalStorage, useAccountStorage } from '../hooks/useLocalStorage';
+import { useTradeJournal } from '../hooks/useTradeJournal';
+import { JournalDialog } from '../components/JournalDialog';
+import { matchRoundTrips, summarizeBySymbol, getFilledOrders, LOT_METHODS } from '../utils/tradeMatching';
+import { ORDER_COLUMNS, ROUND_TRIP_COLUMNS, SYMBOL_STATS_COLUMNS, symbolStatsToRows } from '../utils/exportData';
+import { getJournalEntry, getRoundTripJournal, isEmptyEntry } from '../utils/journal';
+import { isInRange } from '../utils/analyticsFilters';
+import { format, subMonths } from 'date-fns';
+
+// Tags of an order or round trip plus a button to open its journal entry
+const JournalCell = ({ entry, onEdit }) => (
+  <td>
+    <div className="flex items-center gap-1">
+      {entry.tags.slice(0, 2).map(tag => (
+        <span key={tag} className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-accent/20 text-accent">#{tag}</span>
+      ))}
+      {entry.tags.length > 2 && <span className="text-[10px] text-gray-500">+{entry.tags.length - 2}</span>}
+      <button
+        onClick={onEdit}
+        className={`px-1.5 text-sm transition-colors ${isEmptyEntry(entry) ? 'text-gray-600 hover:text-gray-300' : 'text-accent hover:text-accent-hover'}`}
+        title={entry.notes || 'Add journal entry'}
+      >
+        📝
+      </button>
+    </div>
+  </td>
+);
 
 export const TradeHistory = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -16,19 +44,34 @@ export const TradeHistory = () => {
     end: format(new Date(), 'yyyy-MM-dd'),
   });
   const [sideFilter, setSideFilter] = useState('all');
-
-  const { data: orders, loading, error, execute: fetchOrders } = useApi(
-    () => getAllClosedOrders(
-      dateRange.start ? new Date(dateRange.start).toISOString() : null,
-      dateRange.end ? new Date(dateRange.end + 'T23:59:59').toISOString() : null
-    ),
+  const [lotMethod, setLotMethod] = useLocalStorage('alpaca_lot_method', 'fifo');
+  const [lotSelections, setLotSelections] = useAccountStorage('alpaca_lot_selections', {});
+  const { journal, tags: journalTags, saveEntry } = useTradeJournal();
+  // { orderId, title, subtitle } of the journal entry being edited
+  const [journalTarget, setJournalTarget] = useState(null);
+
+  // The range last searched for; editing the date inputs doesn't apply until Search
+  const [searchedRange, setSearchedRange] = useState(dateRange);
+  const [syncProgress, setSyncProgress] = useState(null);
+
+  // The full history is loaded so a sell inside the range still finds a buy from before it;
+  // the range then applies to fill dates, and to exit dates for round trips
+  const { data: allOrders, loading, error, execute: fetchOrders } = useApi(
+    () => getArchivedClosedOrders(null, null, { onProgress: setSyncProgress }),
     [],
-    false
+    true,
+    { key: ['orders', 'closed', null, null], ttl: CACHE_TIME.history }
   );
 
-  useEffect(() => {
-    fetchOrders();
-  }, []);
+  const rangeBounds = useMemo(() => ({
+    start: searchedRange.start ? new Date(searchedRange.start) : null,
+    end: searchedRange.end ? new Date(searchedRange.end + 'T23:59:59') : null,
+  }), [searchedRange]);
+
+  const orders = useMemo(
+    () => allOrders?.filter(order => order.filled_at && isInRange(order.filled_at, rangeBounds)) ?? null,
+    [allOrders, rangeBounds]
+  );
 
   // Get unique symbols for filter dropdown
   const uniqueSymbols = useMemo(() => {
@@ -41,10 +84,8 @@ export const TradeHistory = () => {
   const filteredOrders = useMemo(() => {
     if (!orders) return [];
 
-    return orders.filter(order => {
-      // Only show filled orders
-      if (order.status !== 'filled') return false;
-
+    // Only show orders that traded, the same ones round trips are matched from
+    return getFilledOrders(orders).filter(order => {
       // Symbol filter
       if (symbolFilter && order.symbol !== symbolFilter) return false;
 
@@ -55,85 +96,58 @@ export const TradeHistory = () => {
     }).sort((a, b) => new Date(b.filled_at) - new Date(a.filled_at));
   }, [orders, symbolFilter, sideFilter]);
 
-  // Calculate round trips and realized P/L using FIFO
-  const { roundTrips, symbolStats } = useMemo(() => {
-    if (!orders) return { roundTrips: [], symbolStats: {} };
+  const activeMethod = LOT_METHODS.find(m => m.id === lotMethod) || LOT_METHODS[0];
 
-    // Group orders by symbol
-    const ordersBySymbol = {};
-    orders.filter(o => o.status === 'filled').forEach(order => {
-      if (!ordersBySymbol[order.symbol]) {
-        ordersBySymbol[order.symbol] = [];
-      }
-      ordersBySymbol[order.symbol].push(order);
-    });
+  // Calculate round trips and realized P/L using the selected lot relief method
+  const { roundTrips, symbolStats, closings } = useMemo(() => {
+    if (!allOrders) return { roundTrips: [], symbolStats: {}, closings: [] };
 
-    const allRoundTrips = [];
-    const stats = {};
-
-    Object.entries(ordersBySymbol).forEach(([symbol, symbolOrders]) => {
-      // Sort by filled date
-      const sorted = symbolOrders.sort((a, b) => new Date(a.filled_at) - new Date(b.filled_at));
-
-      const buyQueue = []; // FIFO queue for buys
-      let realizedPL = 0;
-      let winCount = 0;
-      let lossCount = 0;
-
-      sorted.forEach(order => {
-        const qty = parseFloat(order.filled_qty);
-        const price = parseFloat(order.filled_avg_price);
-        const side = order.side;
-
-        if (side === 'buy') {
-          // Add to buy queue
-          buyQueue.push({ qty, price, date: order.filled_at, order });
-        } else if (side === 'sell' && buyQueue.length > 0) {
-          // Match with buys FIFO
-          let sellQty = qty;
-
-          while (sellQty > 0 && buyQueue.length > 0) {
-            const buy = buyQueue[0];
-            const matchQty = Math.min(sellQty, buy.qty);
-
-            const pl = (price - buy.price) * matchQty;
-            realizedPL += pl;
-
-            if (pl >= 0) winCount++;
-            else lossCount++;
-
-            allRoundTrips.push({
-              symbol,
-              buyPrice: buy.price,
-              sellPrice: price,
-              qty: matchQty,
-              pl,
-              plPercent: ((price - buy.price) / buy.price) * 100,
-              buyDate: buy.date,
-              sellDate: order.filled_at,
-            });
-
-            buy.qty -= matchQty;
-            sellQty -= matchQty;
-
-            if (buy.qty <= 0) {
-              buyQueue.shift();
-            }
-          }
-        }
-      });
-
-      stats[symbol] = {
-        realizedPL,
-        trades: winCount + lossCount,
-        winCount,
-        lossCount,
-        winRate: winCount + lossCount > 0 ? (winCount / (winCount + lossCount)) * 100 : 0,
+    const { roundTrips: matched, closings: closingOrders } = matchRoundTrips(allOrders, {
+      method: activeMethod.id,
+      lotSelections,
+      washSales: true,
+    });
+    const inRange = matched.filter(rt => isInRange(rt.exitDate, rangeBounds));
+    return {
+      roundTrips: inRange,
+      symbolStats: summarizeBySymbol(inRange),
+      closings: closingOrders.filter(c => isInRange(c.date, rangeBounds)),
+    };
+  }, [allOrders, activeMethod, lotSelections, rangeBounds]);
+
+  // Realized P/L of the same orders under every lot relief method
+  const methodComparison = useMemo(() => {
+    if (!allOrders) return [];
+
+    return LOT_METHODS.map(method => {
+      const { roundTrips: matched } = matchRoundTrips(allOrders, { method: method.id, lotSelections, washSales: true });
+      const relevant = matched.filter(rt =>
+        isInRange(rt.exitDate, rangeBounds) && (!symbolFilter || rt.symbol === symbolFilter)
+      );
+      return {
+        ...method,
+        realizedPL: relevant.reduce((sum, rt) => sum + rt.pl, 0),
+        trades: relevant.length,
       };
     });
-
-    return { roundTrips: allRoundTrips, symbolStats: stats };
-  }, [orders]);
+  }, [allOrders, lotSelections, symbolFilter, rangeBounds]);
+
+  const filteredClosings = useMemo(() => {
+    if (!symbolFilter) return closings;
+    return closings.filter(c => c.symbol === symbolFilter);
+  }, [closings, symbolFilter]);
+
+  const handleLotSelection = (closingOrderId, lotOrderId) => {
+    setLotSelections(prev => {
+      const next = { ...prev };
+      if (lotOrderId) {
+        next[closingOrderId] = [lotOrderId];
+      } else {
+        delete next[closingOrderId];
+      }
+      return next;
+    });
+  };
 
   // Filter round trips
   const filteredRoundTrips = useMemo(() => {
@@ -143,8 +157,8 @@ export const TradeHistory = () => {
 
   // Total stats for filtered symbol
   const totalStats = useMemo(() => {
-    if (symbolFilter && symbolStats[symbolFilter]) {
-      return symbolStats[symbolFilter];
+    if (symbolFilter) {
+      return symbolStats[symbolFilter] || { realizedPL: 0, trades: 0, winCount: 0, lossCount: 0, winRate: 0 };
     }
 
     // Sum all symbols
@@ -158,7 +172,12 @@ export const TradeHistory = () => {
   }, [symbolStats, symbolFilter]);
 
   const handleSearch = () => {
-    fetchOrders();
+    setSyncProgress(null);
+    if (dateRange.start === searchedRange.start && dateRange.end === searchedRange.end) {
+      fetchOrders();
+    } else {
+      setSearchedRange(dateRange);
+    }
   };
 
   const handleSymbolChange = (symbol) => {
@@ -170,17 +189,41 @@ export const TradeHistory = () => {
     }
   };
 
-  if (loading && !orders) return <PageLoader />;
-  if (error) return <ErrorMessage message={error} onRetry={fetchOrders} />;
+  if (loading && !orders) return <OrderSyncLoader progress={syncProgress} />;
+  // With partial results the page still renders, with a warning below the header
+  if (error && !orders) return <ErrorMessage message={error} onRetry={fetchOrders} />;
 
   return (
     <div className="space-y-6">
       {/* Page Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-white mb-1">Trade History</h1>
-        <p className="text-gray-400">View your closed orders and realized P/L</p>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Trade History</h1>
+          <p className="text-gray-400">View your closed orders and realized P/L</p>
+        </div>
+        <ExportMenu
+          datasets={[
+            { id: 'orders', label: 'Orders', name: 'orders', rows: filteredOrders, columns: ORDER_COLUMNS },
+            { id: 'round-trips', label: `Round Trips (${activeMethod.label})`, name: `round-trips-${activeMethod.id}`, rows: filteredRoundTrips, columns: ROUND_TRIP_COLUMNS },
+            { id: 'symbol-stats', label: 'P/L by Symbol', name: 'symbol-stats', rows: symbolStatsToRows(symbolStats), columns: SYMBOL_STATS_COLUMNS },
+          ]}
+        />
       </div>
 
+      {error && (
+        <div className="card bg-yellow-500/10 border-yellow-500/30 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <p className="text-sm text-yellow-400">
+            Order history stopped loading ({error}). Showing the {formatNumber(allOrders.length, 0)} orders loaded so far; totals may be incomplete.
+          </p>
+          <button
+            onClick={() => fetchOrders().catch(() => {})}
+            className="px-4 py-2 bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-400 rounded-lg text-sm transition-colors"
+          >
+            Resume
+          </button>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="card">
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
@@ -294,6 +337,95 @@ export const TradeHistory = () => {
         </div>
       )}
 
+      {/* Lot Relief Method Comparison */}
+      {methodComparison.length > 0 && (
+        <div className="card">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+            <h3 className="text-lg font-semibold text-white">Realized P/L by Lot Method</h3>
+            <span className="text-sm text-gray-500">Click a method to apply it to the tables below</span>
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+            {methodComparison.map(method => {
+              const fifoPL = methodComparison[0].realizedPL;
+              const delta = method.realizedPL - fifoPL;
+              const isActive = method.id === activeMethod.id;
+
+              return (
+                <button
+                  key={method.id}
+                  onClick={() => setLotMethod(method.id)}
+                  className={`p-3 rounded-lg text-left transition-colors ${
+                    isActive ? 'bg-accent/20 ring-1 ring-accent' : 'bg-dark-700 hover:bg-dark-600'
+                  }`}
+                >
+                  <div className="font-semibold text-white">{method.label}</div>
+                  <div className={`text-sm ${method.realizedPL >= 0 ? 'text-profit' : 'text-loss'}`}>
+                    {formatCurrency(method.realizedPL)}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {method.id === 'fifo' ? `${method.trades} round trips` : `${delta >= 0 ? '+' : ''}${formatCurrency(delta)} vs FIFO`}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Specific Lot Selection */}
+      {activeMethod.id === 'specific' && filteredClosings.length > 0 && (
+        <div className="card p-0 overflow-hidden">
+          <div className="p-4 border-b border-dark-600">
+            <h3 className="font-semibold text-white">Specific Lot Selection</h3>
+            <p className="text-sm text-gray-500">Pick the lot each closing order relieves first. Unpinned orders fall back to FIFO.</p>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Side</th>
+                  <th className="text-right">Qty</th>
+                  <th className="text-right">Price</th>
+                  <th>Filled At</th>
+                  <th>Relieve Lot</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredClosings.slice(0, 50).map((closing) => (
+                  <tr key={closing.orderId}>
+                    <td className="font-semibold text-white">{closing.symbol}</td>
+                    <td className="text-gray-400 text-sm">{closing.side.toUpperCase()}</td>
+                    <td className="text-right font-mono">{formatNumber(closing.qty, closing.qty % 1 === 0 ? 0 : 4)}</td>
+                    <td className="text-right font-mono">{formatCurrency(closing.price)}</td>
+                    <td className="text-gray-400 text-sm">{formatDateTime(closing.date)}</td>
+                    <td>
+                      <select
+                        value={lotSelections[closing.orderId]?.[0] || ''}
+                        onChange={(e) => handleLotSelection(closing.orderId, e.target.value)}
+                        className="input"
+                      >
+                        <option value="">FIFO (default)</option>
+                        {closing.candidates.map(lot => (
+                          <option key={lot.orderId} value={lot.orderId}>
+                            {formatDateTime(lot.date)} · {formatNumber(lot.qty, lot.qty % 1 === 0 ? 0 : 4)} @ {formatCurrency(lot.price)}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {filteredClosings.length > 50 && (
+            <div className="p-4 text-center text-gray-500 text-sm border-t border-dark-600">
+              Showing first 50 of {filteredClosings.length} closing orders
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Orders Table */}
       {filteredOrders.length > 0 ? (
         <div className="card p-0 overflow-hidden">
@@ -311,6 +443,7 @@ export const TradeHistory = () => {
                   <th className="text-right">Filled Price</th>
                   <th className="text-right">Total</th>
                   <th>Filled At</th>
+                  <th>Journal</th>
                 </tr>
               </thead>
               <tbody>
@@ -331,10 +464,23 @@ export const TradeHistory = () => {
                         </span>
                       </td>
                       <td className="text-gray-400 text-sm">{order.type}</td>
-                      <td className="text-right font-mono">{formatNumber(qty, qty % 1 === 0 ? 0 : 4)}</td>
+                      <td className="text-right font-mono">
+                        {formatNumber(qty, qty % 1 === 0 ? 0 : 4)}
+                        {order.status !== 'filled' && (
+                          <span className="block text-[10px] text-gray-500">{order.qty ? `of ${order.qty}, ` : ''}{order.status}</span>
+                        )}
+                      </td>
                       <td className="text-right font-mono">{formatCurrency(price)}</td>
                       <td className="text-right font-mono">{formatCurrency(total)}</td>
                       <td className="text-gray-400 text-sm">{formatDateTime(order.filled_at)}</td>
+                      <JournalCell
+                        entry={getJournalEntry(journal, order.id)}
+                        onEdit={() => setJournalTarget({
+                          orderId: order.id,
+                          title: `${order.side.toUpperCase()} ${formatNumber(qty, qty % 1 === 0 ? 0 : 4)} ${order.symbol} @ ${formatCurrency(price)}`,
+                          subtitle: `Filled ${formatDateTime(order.filled_at)}`,
+                        })}
+                      />
                     </tr>
                   );
                 })}
@@ -359,28 +505,38 @@ export const TradeHistory = () => {
       {filteredRoundTrips.length > 0 && (
         <div className="card p-0 overflow-hidden">
           <div className="p-4 border-b border-dark-600">
-            <h3 className="font-semibold text-white">Round Trip Analysis (FIFO)</h3>
+            <h3 className="font-semibold text-white">Round Trip Analysis ({activeMethod.label})</h3>
           </div>
           <div className="table-container">
             <table>
               <thead>
                 <tr>
                   <th>Symbol</th>
+                  <th>Direction</th>
                   <th className="text-right">Qty</th>
                   <th className="text-right">Buy Price</th>
                   <th className="text-right">Sell Price</th>
                   <th className="text-right">P/L</th>
                   <th className="text-right">P/L %</th>
+                  <th className="text-right">Wash Sale</th>
                   <th>Buy Date</th>
                   <th>Sell Date</th>
+                  <th>Journal</th>
                 </tr>
               </thead>
               <tbody>
-                {filteredRoundTrips.slice(0, 50).map((rt, idx) => {
+                {filteredRoundTrips.slice(0, 50).map((rt) => {
                   const isProfit = rt.pl >= 0;
                   return (
-                    <tr key={`${rt.symbol}-${idx}`}>
+                    <tr key={rt.id}>
                       <td className="font-semibold text-white">{rt.symbol}</td>
+                      <td>
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                          rt.direction === 'long' ? 'bg-accent/20 text-accent' : 'bg-yellow-500/20 text-yellow-400'
+                        }`}>
+                          {rt.direction.toUpperCase()}
+                        </span>
+                      </td>
                       <td className="text-right font-mono">{formatNumber(rt.qty, rt.qty % 1 === 0 ? 0 : 4)}</td>
                       <td className="text-right font-mono">{formatCurrency(rt.buyPrice)}</td>
                       <td className="text-right font-mono">{formatCurrency(rt.sellPrice)}</td>
@@ -390,8 +546,34 @@ export const TradeHistory = () => {
                       <td className={`text-right font-mono ${isProfit ? 'text-profit' : 'text-loss'}`}>
                         {isProfit ? '+' : ''}{rt.plPercent.toFixed(2)}%
                       </td>
+                      <td className="text-right text-sm">
+                        {rt.washSale && (
+                          <div className="text-yellow-400" title="Loss disallowed and added to the replacement shares' basis">
+                            W +{formatCurrency(rt.disallowedLoss)}
+                          </div>
+                        )}
+                        {rt.basisAdjustment > 0 && (
+                          <div
+                            className="text-gray-400"
+                            title={`Deferred wash-sale loss added to this lot's basis${
+                              rt.holdingPeriodStart ? `; held since ${formatDate(rt.holdingPeriodStart)} for tax purposes` : ''
+                            }`}
+                          >
+                            Basis +{formatCurrency(rt.basisAdjustment)}
+                          </div>
+                        )}
+                        {!rt.washSale && !rt.basisAdjustment && <span className="text-gray-600">-</span>}
+                      </td>
                       <td className="text-gray-400 text-sm">{formatDateTime(rt.buyDate)}</td>
                       <td className="text-gray-400 text-sm">{formatDateTime(rt.sellDate)}</td>
+                      <JournalCell
+                        entry={getRoundTripJournal(journal, rt)}
+                        onEdit={() => setJournalTarget({
+                          orderId: rt.entryOrderId,
+                          title: `${rt.symbol} ${rt.direction} round trip`,
+                          subtitle: `Saved on the entry order (${formatDateTime(rt.entryDate)}), shared by every round trip it opens`,
+                        })}
+                      />
                     </tr>
                   );
                 })}
@@ -405,6 +587,21 @@ export const TradeHistory = () => {
           )}
         </div>
       )}
+
+      {journalTarget && (
+        <JournalDialog
+          key={journalTarget.orderId}
+          title={journalTarget.title}
+          subtitle={journalTarget.subtitle}
+          entry={getJournalEntry(journal, journalTarget.orderId)}
+          tagSuggestions={journalTags}
+          onSave={(entry) => {
+            saveEntry(journalTarget.orderId, entry);
+            setJournalTarget(null);
+          }}
+          onClose={() => setJournalTarget(null)}
+        />
+      )}
     </div>
   );
 };
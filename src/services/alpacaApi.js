@@ -1,51 +1,43 @@
-const STORAGE_KEY = 'alpaca_credentials';
+import { getCredentials } from './credentialStore';
+import { invalidateQueries } from './queryCache';
+import { scheduleRequest } from './requestScheduler';
+
 const PAPER_BASE_URL = 'https://paper-api.alpaca.markets';
 const LIVE_BASE_URL = 'https://api.alpaca.markets';
 const DATA_BASE_URL = 'https://data.alpaca.markets';
 
-export const getCredentials = () => {
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (!stored) return null;
-  try {
-    return JSON.parse(stored);
-  } catch {
-    return null;
-  }
-};
-
-export const saveCredentials = (apiKey, apiSecret, isPaper = true) => {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify({ apiKey, apiSecret, isPaper }));
-};
-
-export const clearCredentials = () => {
-  localStorage.removeItem(STORAGE_KEY);
-};
-
-const getBaseUrl = () => {
-  const creds = getCredentials();
-  return creds?.isPaper ? PAPER_BASE_URL : LIVE_BASE_URL;
-};
+const getBaseUrl = (creds) => (creds?.isPaper ? PAPER_BASE_URL : LIVE_BASE_URL);
 
+// options.credentials targets a specific profile instead of the active one.
+// options.signal (an AbortSignal) cancels the request, including while it waits in the queue.
 const makeRequest = async (endpoint, options = {}) => {
-  const creds = getCredentials();
+  const { credentials, signal, ...fetchOptions } = options;
+  const creds = credentials || getCredentials();
   if (!creds) {
     throw new Error('Not authenticated');
   }
 
   const baseUrl = endpoint.startsWith('/v2/stocks') || endpoint.startsWith('/v1beta1')
     ? DATA_BASE_URL
-    : getBaseUrl();
-
-  const response = await fetch(`${baseUrl}${endpoint}`, {
-    ...options,
-    headers: {
-      'APCA-API-KEY-ID': creds.apiKey,
-      'APCA-API-SECRET-KEY': creds.apiSecret,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
-
+    : getBaseUrl(creds);
+
+  const method = fetchOptions.method || 'GET';
+  const response = await scheduleRequest(
+    `${baseUrl}:${creds.apiKey}`,
+    (requestSignal) => fetch(`${baseUrl}${endpoint}`, {
+      ...fetchOptions,
+      signal: requestSignal,
+      headers: {
+        'APCA-API-KEY-ID': creds.apiKey,
+        'APCA-API-SECRET-KEY': creds.apiSecret,
+        'Content-Type': 'application/json',
+        ...fetchOptions.headers,
+      },
+    }),
+    { signal, idempotent: method === 'GET' }
+  );
+
+  // Only reached once the scheduler has run out of retries
   if (response.status === 429) {
     throw new Error('Rate limited. Please wait a moment and try again.');
   }
@@ -55,12 +47,26 @@ const makeRequest = async (endpoint, options = {}) => {
     throw new Error(error.message || `API Error: ${response.status}`);
   }
 
+  // Cancels and some closes answer 204 No Content
+  if (response.status === 204) return null;
+
   return response.json();
 };
 
+// Anything that changes orders can change positions and buying power too
+const TRADING_QUERIES = [['orders'], ['positions'], ['account'], ['combined']];
+
+const mutate = async (endpoint, options) => {
+  const result = await makeRequest(endpoint, options);
+  invalidateQueries(TRADING_QUERIES);
+  return result;
+};
+
 // Account endpoints
 export const getAccount = () => makeRequest('/v2/account');
 
+export const getAccountForProfile = (profile) => makeRequest('/v2/account', { credentials: profile });
+
 export const getPortfolioHistory = (params = {}) => {
   const searchParams = new URLSearchParams();
   if (params.period) searchParams.set('period', params.period);
@@ -74,10 +80,24 @@ export const getPortfolioHistory = (params = {}) => {
 // Positions endpoints
 export const getPositions = () => makeRequest('/v2/positions');
 
+export const getPositionsForProfile = (profile) => makeRequest('/v2/positions', { credentials: profile });
+
 export const getPosition = (symbol) => makeRequest(`/v2/positions/${symbol}`);
 
+export const closePosition = (symbol, params = {}) => {
+  const searchParams = new URLSearchParams();
+  if (params.qty) searchParams.set('qty', params.qty);
+  if (params.percentage) searchParams.set('percentage', params.percentage);
+
+  const query = searchParams.toString();
+  return mutate(`/v2/positions/${symbol}${query ? `?${query}` : ''}`, { method: 'DELETE' });
+};
+
+export const closeAllPositions = (cancelOrders = true) =>
+  mutate(`/v2/positions?cancel_orders=${cancelOrders}`, { method: 'DELETE' });
+
 // Orders endpoints
-export const getOrders = async (params = {}) => {
+export const getOrders = async (params = {}, { signal, credentials } = {}) => {
   const searchParams = new URLSearchParams();
   if (params.status) searchParams.set('status', params.status);
   if (params.limit) searchParams.set('limit', params.limit);
@@ -88,14 +108,34 @@ export const getOrders = async (params = {}) => {
   if (params.symbols) searchParams.set('symbols', params.symbols);
 
   const query = searchParams.toString();
-  return makeRequest(`/v2/orders${query ? `?${query}` : ''}`);
+  return makeRequest(`/v2/orders${query ? `?${query}` : ''}`, { signal, credentials });
 };
 
-// Fetch all closed orders with pagination
-export const getAllClosedOrders = async (startDate = null, endDate = null) => {
+export const createOrder = (order) => mutate('/v2/orders', {
+  method: 'POST',
+  body: JSON.stringify(order),
+});
+
+export const replaceOrder = (orderId, changes) => mutate(`/v2/orders/${orderId}`, {
+  method: 'PATCH',
+  body: JSON.stringify(changes),
+});
+
+export const cancelOrder = (orderId) => mutate(`/v2/orders/${orderId}`, { method: 'DELETE' });
+
+export const cancelAllOrders = () => mutate('/v2/orders', { method: 'DELETE' });
+
+// Fetch all closed orders, oldest first. The orders endpoint filters `after` on submitted_at
+// and is exclusive, so the cursor steps back 1ms from the last submitted_at on each page and
+// re-reads that instant; orders already seen are dropped by id. That way orders sharing a
+// timestamp across a page boundary are neither skipped nor duplicated.
+// onProgress({ page, loaded, cursor }) runs after each page with that page's new orders.
+// If a page fails, the error carries the orders loaded so far as error.partialResults.
+export const getAllClosedOrders = async (startDate = null, endDate = null, { signal, onProgress, credentials } = {}) => {
   const allOrders = [];
-  let after = startDate;
+  const seen = new Set();
   const limit = 500;
+  let after = startDate;
 
   while (true) {
     const params = {
@@ -107,20 +147,80 @@ export const getAllClosedOrders = async (startDate = null, endDate = null) => {
     if (after) params.after = after;
     if (endDate) params.until = endDate;
 
-    const orders = await getOrders(params);
+    let orders;
+    try {
+      orders = await getOrders(params, { signal, credentials });
+    } catch (err) {
+      err.partialResults = allOrders;
+      throw err;
+    }
+
+    const page = orders.filter(order => !seen.has(order.id));
+    page.forEach(order => seen.add(order.id));
+    allOrders.push(...page);
+
+    if (orders.length < limit) {
+      onProgress?.({ page, loaded: allOrders.length, cursor: null });
+      break;
+    }
+
+    const lastSubmitted = orders[orders.length - 1].submitted_at;
+    // A full page of one instant can't be stepped through with a timestamp cursor; move past it
+    const cursor = page.length > 0
+      ? new Date(new Date(lastSubmitted).getTime() - 1).toISOString()
+      : lastSubmitted;
+    onProgress?.({ page, loaded: allOrders.length, cursor });
+
+    after = cursor;
+  }
+
+  return allOrders;
+};
+
+// Account activities endpoints
+export const getAccountActivities = (params = {}, { signal, credentials } = {}) => {
+  const searchParams = new URLSearchParams();
+  if (params.activity_types) searchParams.set('activity_types', params.activity_types);
+  if (params.date) searchParams.set('date', params.date);
+  if (params.after) searchParams.set('after', params.after);
+  if (params.until) searchParams.set('until', params.until);
+  if (params.direction) searchParams.set('direction', params.direction);
+  if (params.page_size) searchParams.set('page_size', params.page_size);
+  if (params.page_token) searchParams.set('page_token', params.page_token);
 
-    if (orders.length === 0) break;
+  const query = searchParams.toString();
+  return makeRequest(`/v2/account/activities${query ? `?${query}` : ''}`, { signal, credentials });
+};
 
-    allOrders.push(...orders);
+// Fetch all account activities with pagination (page_token is the id of the last activity seen)
+export const getAllAccountActivities = async (activityTypes = [], startDate = null, endDate = null, { signal, credentials } = {}) => {
+  const allActivities = [];
+  const pageSize = 100;
+  let pageToken = null;
 
-    if (orders.length < limit) break;
+  while (true) {
+    const params = {
+      direction: 'asc',
+      page_size: pageSize,
+    };
 
-    // Get the last order's timestamp for pagination
-    const lastOrder = orders[orders.length - 1];
-    after = lastOrder.filled_at || lastOrder.created_at;
+    if (activityTypes.length > 0) params.activity_types = activityTypes.join(',');
+    if (startDate) params.after = startDate;
+    if (endDate) params.until = endDate;
+    if (pageToken) params.page_token = pageToken;
+
+    const activities = await getAccountActivities(params, { signal, credentials });
+
+    if (activities.length === 0) break;
+
+    allActivities.push(...activities);
+
+    if (activities.length < pageSize) break;
+
+    pageToken = activities[activities.length - 1].id;
   }
 
-  return allOrders;
+  return allActivities;
 };
 
 // Validate credentials by making a test request
@@ -147,13 +247,33 @@ export const getLatestQuote = (symbol) =>
   makeRequest(`/v2/stocks/${symbol}/quotes/latest`);
 
 // Get bars for a symbol
-export const getBars = (symbol, params = {}) => {
+export const getBars = (symbol, params = {}, { signal } = {}) => {
   const searchParams = new URLSearchParams();
   if (params.timeframe) searchParams.set('timeframe', params.timeframe);
   if (params.start) searchParams.set('start', params.start);
   if (params.end) searchParams.set('end', params.end);
   if (params.limit) searchParams.set('limit', params.limit);
+  if (params.adjustment) searchParams.set('adjustment', params.adjustment);
+  if (params.page_token) searchParams.set('page_token', params.page_token);
 
   const query = searchParams.toString();
-  return makeRequest(`/v2/stocks/${symbol}/bars${query ? `?${query}` : ''}`);
+  return makeRequest(`/v2/stocks/${symbol}/bars${query ? `?${query}` : ''}`, { signal });
+};
+
+// Fetch all bars for a symbol by following next_page_token
+export const getAllBars = async (symbol, params = {}, { signal } = {}) => {
+  const allBars = [];
+  let pageToken = null;
+
+  while (true) {
+    const response = await getBars(symbol, { limit: 10000, ...params, page_token: pageToken }, { signal });
+
+    allBars.push(...(response.bars || []));
+
+    if (!response.next_page_token) break;
+
+    pageToken = response.next_page_token;
+  }
+
+  return allBars;
 };
@@ -0,0 +1,117 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getAllClosedOrders } from './alpacaApi';
+
+// Credentials are passed in explicitly; the browser-backed store isn't needed
+vi.mock('./credentialStore', () => ({ getCredentials: () => null }));
+
+const credentials = { id: 'paper-1', apiKey: 'KEY', apiSecret: 'SECRET', isPaper: true };
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 2, 15, 0, seconds)).toISOString();
+
+const order = (id, submittedAt) => ({ id, symbol: 'AAPL', status: 'filled', submitted_at: submittedAt });
+
+// Orders numbered from `start`, each submitted at the given instant
+const ordersAt = (count, submittedAt, start = 0) =>
+  Array.from({ length: count }, (_, i) => order(`o${start + i}`, submittedAt));
+
+// Stand-in for GET /v2/orders: `after` is exclusive on submitted_at, results are oldest first
+// and orders sharing an instant always come back in the same order
+const mockOrdersEndpoint = (orders, { failOnRequest } = {}) => {
+  const requests = [];
+  const fetchMock = vi.fn(async (url) => {
+    const params = new URL(url).searchParams;
+    requests.push(Object.fromEntries(params));
+    if (requests.length === failOnRequest) {
+      return new Response(JSON.stringify({ message: 'invalid request' }), { status: 422 });
+    }
+
+    const after = params.get('after') ? new Date(params.get('after')).getTime() : -Infinity;
+    const until = params.get('until') ? new Date(params.get('until')).getTime() : Infinity;
+    const page = orders
+      .filter(o => new Date(o.submitted_at).getTime() > after && new Date(o.submitted_at).getTime() <= until)
+      .slice(0, Number(params.get('limit')));
+    return new Response(JSON.stringify(page), { status: 200 });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return requests;
+};
+
+// Orders submitted 1ms apart, all before at(0)
+const ordersApart = (count) =>
+  Array.from({ length: count }, (_, i) => order(`o${i}`, new Date(Date.UTC(2024, 0, 1, 0, 0, 0, i)).toISOString()));
+
+const ids = (orders) => orders.map(o => o.id);
+
+describe('getAllClosedOrders', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('fetches a single short page with the given range', async () => {
+    const orders = [order('a', at(1)), order('b', at(2))];
+    const requests = mockOrdersEndpoint(orders);
+
+    const result = await getAllClosedOrders(at(0), at(10), { credentials });
+
+    expect(ids(result)).toEqual(['a', 'b']);
+    expect(requests).toEqual([{ status: 'closed', limit: '500', direction: 'asc', after: at(0), until: at(10) }]);
+  });
+
+  it('neither skips nor duplicates orders sharing a timestamp across a page boundary', async () => {
+    // Orders o490..o519 share one instant and straddle the 500th slot
+    const orders = [
+      ...ordersApart(490),
+      ...ordersAt(30, at(5), 490),
+      ...ordersAt(100, at(6), 520),
+    ];
+    mockOrdersEndpoint(orders);
+
+    const result = await getAllClosedOrders(null, null, { credentials });
+
+    expect(ids(result)).toEqual(ids(orders));
+  });
+
+  it('drops orders re-read at the cursor instant by id', async () => {
+    // Exactly one full page: the follow-up request re-reads the last instant and finds nothing new
+    const orders = ordersApart(500);
+    const requests = mockOrdersEndpoint(orders);
+    const progress = [];
+
+    const result = await getAllClosedOrders(null, null, {
+      credentials,
+      onProgress: ({ page, loaded, cursor }) => progress.push({ count: page.length, loaded, cursor }),
+    });
+
+    expect(result).toHaveLength(500);
+    expect(new Set(ids(result)).size).toBe(500);
+    expect(requests).toHaveLength(2);
+    // The cursor steps back 1ms from the last order so its instant is read again
+    expect(requests[1].after).toBe(new Date(Date.UTC(2024, 0, 1, 0, 0, 0, 498)).toISOString());
+    expect(progress).toEqual([
+      { count: 500, loaded: 500, cursor: requests[1].after },
+      { count: 0, loaded: 500, cursor: null },
+    ]);
+  });
+
+  it('moves past a full page submitted at a single instant instead of looping', async () => {
+    const orders = [...ordersAt(600, at(1)), ...ordersAt(3, at(2), 600)];
+    const requests = mockOrdersEndpoint(orders);
+
+    const result = await getAllClosedOrders(null, null, { credentials });
+
+    // The second request re-reads the same 500 orders, so the cursor jumps to the instant itself.
+    // The API can't page within one instant, so the 100 orders past the limit there are missed.
+    expect(requests.map(r => r.after)).toEqual([undefined, new Date(new Date(at(1)).getTime() - 1).toISOString(), at(1)]);
+    expect(ids(result)).toEqual([...ids(orders.slice(0, 500)), 'o600', 'o601', 'o602']);
+  });
+
+  it('attaches the orders loaded so far when a page fails', async () => {
+    const orders = ordersApart(600);
+    mockOrdersEndpoint(orders, { failOnRequest: 2 });
+
+    const error = await getAllClosedOrders(null, null, { credentials }).catch(err => err);
+
+    expect(error.message).toBe('invalid request');
+    expect(ids(error.partialResults)).toEqual(ids(orders.slice(0, 500)));
+  });
+});
@@ -0,0 +1,203 @@
+import { getCredentials } from './credentialStore';
+
+const DATA_STREAM_URL = 'wss://stream.data.alpaca.markets/v2';
+const PAPER_TRADING_STREAM_URL = 'wss://paper-api.alpaca.markets/stream';
+const LIVE_TRADING_STREAM_URL = 'wss://api.alpaca.markets/stream';
+
+const MAX_RECONNECT_DELAY = 30000;
+
+// Data stream errors that retrying can't fix: bad or missing auth (401-404), and the
+// account's connection limit (406), which a reconnect would only keep hitting
+const FATAL_DATA_STREAM_CODES = [401, 402, 403, 404, 406];
+
+// The trading stream sends binary frames on paper accounts and text frames on live ones
+const parseFrame = async (data) => {
+  if (typeof data === 'string') return JSON.parse(data);
+  if (data instanceof Blob) return JSON.parse(await data.text());
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+// Generic authenticated WebSocket with subscribe-on-auth and exponential reconnect.
+// status is one of: connecting, authenticating, connected, reconnecting, closed, error
+const createStreamConnection = ({
+  url,
+  buildAuthMessage,
+  isAuthSuccess,
+  isAuthFailure,
+  onAuthenticated,
+  onMessage,
+  onStatus = () => {},
+  WebSocketImpl = WebSocket,
+  reconnectDelay = 1000,
+}) => {
+  let socket = null;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let closedByUser = false;
+  let authenticated = false;
+
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocketImpl.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closedByUser) return;
+    const delay = Math.min(reconnectDelay * 2 ** attempts, MAX_RECONNECT_DELAY);
+    attempts += 1;
+    onStatus('reconnecting');
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    authenticated = false;
+    onStatus('connecting');
+    socket = new WebSocketImpl(url);
+
+    socket.onopen = () => {
+      onStatus('authenticating');
+      send(buildAuthMessage());
+    };
+
+    socket.onmessage = async (event) => {
+      let payload;
+      try {
+        payload = await parseFrame(event.data);
+      } catch {
+        return;
+      }
+
+      if (!authenticated) {
+        if (isAuthFailure(payload)) {
+          // Bad keys or a full connection limit will not get better by retrying
+          closedByUser = true;
+          onStatus('error');
+          socket.close();
+          return;
+        }
+        if (isAuthSuccess(payload)) {
+          authenticated = true;
+          attempts = 0;
+          onStatus('connected');
+          onAuthenticated(send);
+          return;
+        }
+      }
+
+      onMessage(payload, send);
+    };
+
+    socket.onclose = () => {
+      if (closedByUser) {
+        onStatus(authenticated ? 'closed' : 'error');
+        return;
+      }
+      scheduleReconnect();
+    };
+
+    socket.onerror = () => {
+      // onclose follows and handles the reconnect
+    };
+  };
+
+  connect();
+
+  return {
+    send,
+    isAuthenticated: () => authenticated,
+    close: () => {
+      closedByUser = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    },
+  };
+};
+
+const toList = (payload) => (Array.isArray(payload) ? payload : [payload]);
+
+// Market data stream: trades and quotes for a changing set of symbols.
+// onTrade receives { symbol, price, size, timestamp }, onQuote { symbol, bidPrice, askPrice, timestamp }.
+export const createMarketDataStream = ({
+  feed = 'iex',
+  url = `${DATA_STREAM_URL}/${feed}`,
+  credentials = getCredentials(),
+  onTrade = () => {},
+  onQuote = () => {},
+  onStatus,
+  WebSocketImpl,
+  reconnectDelay,
+} = {}) => {
+  const symbols = new Set();
+
+  const connection = createStreamConnection({
+    url,
+    buildAuthMessage: () => ({ action: 'auth', key: credentials?.apiKey, secret: credentials?.apiSecret }),
+    isAuthSuccess: (payload) => toList(payload).some(m => m.T === 'success' && m.msg === 'authenticated'),
+    isAuthFailure: (payload) => toList(payload).some(m => m.T === 'error' && FATAL_DATA_STREAM_CODES.includes(m.code)),
+    onAuthenticated: (send) => {
+      if (symbols.size > 0) {
+        send({ action: 'subscribe', trades: [...symbols], quotes: [...symbols] });
+      }
+    },
+    onMessage: (payload) => {
+      toList(payload).forEach(message => {
+        if (message.T === 't') {
+          onTrade({ symbol: message.S, price: message.p, size: message.s, timestamp: message.t });
+        } else if (message.T === 'q') {
+          onQuote({ symbol: message.S, bidPrice: message.bp, askPrice: message.ap, timestamp: message.t });
+        }
+      });
+    },
+    onStatus,
+    WebSocketImpl,
+    reconnectDelay,
+  });
+
+  // Keep the subscription in sync with the wanted symbols; replayed after every reconnect
+  const setSymbols = (nextSymbols) => {
+    const next = new Set(nextSymbols);
+    const added = [...next].filter(s => !symbols.has(s));
+    const removed = [...symbols].filter(s => !next.has(s));
+
+    symbols.clear();
+    next.forEach(s => symbols.add(s));
+
+    if (!connection.isAuthenticated()) return;
+    if (added.length > 0) connection.send({ action: 'subscribe', trades: added, quotes: added });
+    if (removed.length > 0) connection.send({ action: 'unsubscribe', trades: removed, quotes: removed });
+  };
+
+  return { setSymbols, close: connection.close };
+};
+
+// Trading stream: order lifecycle events (new, fill, partial_fill, canceled, ...).
+// onTradeUpdate receives the `data` object, e.g. { event, order, price, qty, timestamp }.
+export const createTradeUpdatesStream = ({
+  credentials = getCredentials(),
+  url = credentials?.isPaper ? PAPER_TRADING_STREAM_URL : LIVE_TRADING_STREAM_URL,
+  onTradeUpdate = () => {},
+  onStatus,
+  WebSocketImpl,
+  reconnectDelay,
+} = {}) => {
+  const connection = createStreamConnection({
+    url,
+    buildAuthMessage: () => ({ action: 'auth', key: credentials?.apiKey, secret: credentials?.apiSecret }),
+    isAuthSuccess: (payload) => payload.stream === 'authorization' && payload.data?.status === 'authorized',
+    isAuthFailure: (payload) => payload.stream === 'authorization' && payload.data?.status === 'unauthorized',
+    onAuthenticated: (send) => {
+      send({ action: 'listen', data: { streams: ['trade_updates'] } });
+    },
+    onMessage: (payload) => {
+      if (payload.stream === 'trade_updates') {
+        onTradeUpdate(payload.data);
+      }
+    },
+    onStatus,
+    WebSocketImpl,
+    reconnectDelay,
+  });
+
+  return { close: connection.close };
+};
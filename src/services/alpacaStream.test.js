@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocket, WebSocketServer } from 'ws';
+import { createMarketDataStream, createTradeUpdatesStream } from './alpacaStream';
+
+// Credentials are passed in explicitly; the browser-backed store isn't needed
+vi.mock('./credentialStore', () => ({ getCredentials: () => null }));
+
+const credentials = { apiKey: 'KEY', apiSecret: 'SECRET', isPaper: true };
+
+const waitFor = async (check, timeout = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Local stand-in for Alpaca's stream servers. `respond(message, socket)` answers each client message.
+const startMockServer = async (respond, { onConnection = () => {} } = {}) => {
+  const server = new WebSocketServer({ port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const mock = {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    connections: 0,
+    received: [],
+    sockets: [],
+    close: () => new Promise(resolve => {
+      server.clients.forEach(client => client.terminate());
+      server.close(resolve);
+    }),
+  };
+
+  server.on('connection', socket => {
+    mock.connections += 1;
+    mock.sockets.push(socket);
+    onConnection(socket);
+    socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      mock.received.push(message);
+      respond(message, socket);
+    });
+  });
+
+  return mock;
+};
+
+const marketDataResponder = (message, socket) => {
+  if (message.action === 'auth') {
+    const ok = message.key === 'KEY' && message.secret === 'SECRET';
+    socket.send(JSON.stringify(ok
+      ? [{ T: 'success', msg: 'authenticated' }]
+      : [{ T: 'error', code: 402, msg: 'auth failed' }]));
+  }
+  if (message.action === 'subscribe') {
+    socket.send(JSON.stringify([{ T: 'subscription', trades: message.trades, quotes: message.quotes }]));
+  }
+};
+
+describe('createMarketDataStream', () => {
+  let mock;
+  let stream;
+
+  afterEach(async () => {
+    stream?.close();
+    await mock?.close();
+  });
+
+  describe('against a mock data server', () => {
+    beforeEach(async () => {
+      mock = await startMockServer(marketDataResponder, {
+        onConnection: socket => socket.send(JSON.stringify([{ T: 'success', msg: 'connected' }])),
+      });
+    });
+
+    it('authenticates, subscribes to the wanted symbols and delivers trades and quotes', async () => {
+      const statuses = [];
+      const trades = [];
+      const quotes = [];
+      stream = createMarketDataStream({
+        url: mock.url,
+        credentials,
+        WebSocketImpl: WebSocket,
+        onStatus: status => statuses.push(status),
+        onTrade: trade => trades.push(trade),
+        onQuote: quote => quotes.push(quote),
+      });
+      stream.setSymbols(['AAPL']);
+
+      await waitFor(() => mock.received.some(m => m.action === 'subscribe'));
+      expect(mock.received[0]).toEqual({ action: 'auth', key: 'KEY', secret: 'SECRET' });
+      expect(mock.received[1]).toEqual({ action: 'subscribe', trades: ['AAPL'], quotes: ['AAPL'] });
+      expect(statuses).toEqual(['connecting', 'authenticating', 'connected']);
+
+      mock.sockets[0].send(JSON.stringify([
+        { T: 't', S: 'AAPL', p: 190.5, s: 100, t: '2024-01-05T15:00:00Z' },
+        { T: 'q', S: 'AAPL', bp: 190.4, ap: 190.6, t: '2024-01-05T15:00:01Z' },
+      ]));
+      await waitFor(() => quotes.length > 0);
+
+      expect(trades).toEqual([{ symbol: 'AAPL', price: 190.5, size: 100, timestamp: '2024-01-05T15:00:00Z' }]);
+      expect(quotes).toEqual([{ symbol: 'AAPL', bidPrice: 190.4, askPrice: 190.6, timestamp: '2024-01-05T15:00:01Z' }]);
+    });
+
+    it('sends only the subscription changes once connected', async () => {
+      stream = createMarketDataStream({ url: mock.url, credentials, WebSocketImpl: WebSocket });
+      stream.setSymbols(['AAPL', 'MSFT']);
+      await waitFor(() => mock.received.some(m => m.action === 'subscribe'));
+
+      stream.setSymbols(['MSFT', 'TSLA']);
+      await waitFor(() => mock.received.some(m => m.action === 'unsubscribe'));
+
+      expect(mock.received.slice(1)).toEqual([
+        { action: 'subscribe', trades: ['AAPL', 'MSFT'], quotes: ['AAPL', 'MSFT'] },
+        { action: 'subscribe', trades: ['TSLA'], quotes: ['TSLA'] },
+        { action: 'unsubscribe', trades: ['AAPL'], quotes: ['AAPL'] },
+      ]);
+    });
+
+    it('reconnects after the server drops the connection and replays auth and subscriptions', async () => {
+      const statuses = [];
+      stream = createMarketDataStream({
+        url: mock.url,
+        credentials,
+        WebSocketImpl: WebSocket,
+        reconnectDelay: 10,
+        onStatus: status => statuses.push(status),
+      });
+      stream.setSymbols(['AAPL']);
+      await waitFor(() => mock.received.some(m => m.action === 'subscribe'));
+
+      mock.sockets[0].terminate();
+      await waitFor(() => mock.received.filter(m => m.action === 'subscribe').length === 2);
+
+      expect(mock.connections).toBe(2);
+      expect(mock.received.map(m => m.action)).toEqual(['auth', 'subscribe', 'auth', 'subscribe']);
+      expect(statuses).toContain('reconnecting');
+      expect(statuses[statuses.length - 1]).toBe('connected');
+    });
+
+    it('stops with an error status on bad keys instead of reconnecting', async () => {
+      const statuses = [];
+      stream = createMarketDataStream({
+        url: mock.url,
+        credentials: { apiKey: 'KEY', apiSecret: 'WRONG' },
+        WebSocketImpl: WebSocket,
+        reconnectDelay: 10,
+        onStatus: status => statuses.push(status),
+      });
+
+      await waitFor(() => statuses.includes('error'));
+      await sleep(100);
+
+      expect(mock.connections).toBe(1);
+      expect(statuses).not.toContain('reconnecting');
+    });
+
+    it('does not reconnect after close()', async () => {
+      stream = createMarketDataStream({ url: mock.url, credentials, WebSocketImpl: WebSocket, reconnectDelay: 10 });
+      await waitFor(() => mock.received.length > 0);
+
+      stream.close();
+      await sleep(100);
+
+      expect(mock.connections).toBe(1);
+    });
+  });
+
+  it('treats the connection limit as fatal instead of reconnecting into it', async () => {
+    mock = await startMockServer(message => {
+      if (message.action === 'auth') {
+        mock.sockets[mock.sockets.length - 1].send(JSON.stringify([{ T: 'error', code: 406, msg: 'connection limit exceeded' }]));
+      }
+    });
+    const statuses = [];
+    stream = createMarketDataStream({
+      url: mock.url,
+      credentials,
+      WebSocketImpl: WebSocket,
+      reconnectDelay: 10,
+      onStatus: status => statuses.push(status),
+    });
+
+    await waitFor(() => statuses.includes('error'));
+    await sleep(100);
+
+    expect(mock.connections).toBe(1);
+    expect(statuses).not.toContain('reconnecting');
+  });
+});
+
+describe('createTradeUpdatesStream', () => {
+  let mock;
+  let stream;
+
+  afterEach(async () => {
+    stream?.close();
+    await mock?.close();
+  });
+
+  // The paper trading stream answers in binary frames
+  const tradingResponder = (message, socket) => {
+    if (message.action === 'auth') {
+      const status = message.key === 'KEY' ? 'authorized' : 'unauthorized';
+      socket.send(Buffer.from(JSON.stringify({ stream: 'authorization', data: { status, action: 'authenticate' } })), { binary: true });
+    }
+    if (message.action === 'listen') {
+      socket.send(Buffer.from(JSON.stringify({ stream: 'listening', data: { streams: message.data.streams } })), { binary: true });
+    }
+  };
+
+  it('authenticates, listens to trade_updates and delivers order events', async () => {
+    mock = await startMockServer(tradingResponder);
+    const updates = [];
+    stream = createTradeUpdatesStream({
+      url: mock.url,
+      credentials,
+      WebSocketImpl: WebSocket,
+      onTradeUpdate: update => updates.push(update),
+    });
+
+    await waitFor(() => mock.received.some(m => m.action === 'listen'));
+    expect(mock.received[1]).toEqual({ action: 'listen', data: { streams: ['trade_updates'] } });
+
+    const fillEvent = { event: 'fill', order: { id: 'o1', symbol: 'AAPL' }, price: '190.5', qty: '10' };
+    mock.sockets[0].send(Buffer.from(JSON.stringify({ stream: 'trade_updates', data: fillEvent })), { binary: true });
+    await waitFor(() => updates.length > 0);
+
+    expect(updates).toEqual([fillEvent]);
+  });
+
+  it('stops with an error status when unauthorized', async () => {
+    mock = await startMockServer(tradingResponder);
+    const statuses = [];
+    stream = createTradeUpdatesStream({
+      url: mock.url,
+      credentials: { apiKey: 'BAD', apiSecret: 'SECRET' },
+      WebSocketImpl: WebSocket,
+      reconnectDelay: 10,
+      onStatus: status => statuses.push(status),
+    });
+
+    await waitFor(() => statuses.includes('error'));
+    await sleep(100);
+
+    expect(mock.connections).toBe(1);
+  });
+});
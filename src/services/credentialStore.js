@@ -0,0 +1,211 @@
+// Account profiles live in memory while the app is unlocked. On disk they are only ever
+// stored encrypted: AES-GCM with a key derived from the user's passphrase (PBKDF2/SHA-256).
+// Session-only mode keeps them in memory and never writes secrets anywhere.
+
+const VAULT_KEY = 'alpaca_vault';
+const SESSION_ONLY_KEY = 'alpaca_session_only';
+// Plain-text formats written by older versions; read once and replaced by the vault
+const PLAIN_STORAGE_KEY = 'alpaca_accounts';
+const LEGACY_STORAGE_KEY = 'alpaca_credentials';
+
+const PBKDF2_ITERATIONS = 310000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+const EMPTY_ACCOUNTS = { activeId: null, profiles: [] };
+
+// { activeId, profiles: [{ id, name, apiKey, apiSecret, isPaper }] }
+let accounts = EMPTY_ACCOUNTS;
+// 'encrypted' | 'session' | 'plain' (unsecured data from an older version) | null (nothing yet)
+let storageMode = null;
+let vaultKey = null;
+let vaultSalt = null;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), c => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptAccounts = async (key, salt, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { v: 1, iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+};
+
+const readVault = () => {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const createProfileId = () =>
+  (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+const readPlainAccounts = () => {
+  try {
+    const stored = localStorage.getItem(PLAIN_STORAGE_KEY);
+    if (stored) return { ...EMPTY_ACCOUNTS, ...JSON.parse(stored) };
+
+    const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!legacy) return null;
+    const { apiKey, apiSecret, isPaper } = JSON.parse(legacy);
+    const profile = { id: createProfileId(), name: isPaper ? 'Paper' : 'Live', apiKey, apiSecret, isPaper };
+    return { activeId: profile.id, profiles: [profile] };
+  } catch {
+    return null;
+  }
+};
+
+const removePlainAccounts = () => {
+  localStorage.removeItem(PLAIN_STORAGE_KEY);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+};
+
+// Decide the starting state from whatever is on disk
+const initialize = () => {
+  if (readVault()) {
+    storageMode = 'encrypted';
+    return;
+  }
+  const plain = readPlainAccounts();
+  if (plain) {
+    accounts = plain;
+    storageMode = 'plain';
+    return;
+  }
+  storageMode = localStorage.getItem(SESSION_ONLY_KEY) ? 'session' : null;
+};
+
+initialize();
+
+const persist = async () => {
+  if (storageMode !== 'encrypted' || !vaultKey) return;
+  localStorage.setItem(VAULT_KEY, JSON.stringify(await encryptAccounts(vaultKey, vaultSalt, accounts)));
+};
+
+export const getStorageMode = () => storageMode;
+
+// Saved accounts exist but haven't been decrypted yet
+export const isLocked = () => storageMode === 'encrypted' && !vaultKey;
+
+export const unlock = async (passphrase) => {
+  const vault = readVault();
+  if (!vault) throw new Error('No saved accounts');
+
+  const salt = fromBase64(vault.salt);
+  const key = await deriveKey(passphrase, salt, vault.iterations);
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+    accounts = { ...EMPTY_ACCOUNTS, ...JSON.parse(new TextDecoder().decode(plain)) };
+  } catch {
+    throw new Error('Incorrect passphrase');
+  }
+  vaultKey = key;
+  vaultSalt = salt;
+};
+
+// Forget the decrypted accounts. In session-only mode there is nothing to unlock, so this signs out.
+export const lock = () => {
+  accounts = EMPTY_ACCOUNTS;
+  vaultKey = null;
+  vaultSalt = null;
+};
+
+// Encrypt the current accounts under a new passphrase and drop any plain-text copy
+export const setPassphrase = async (passphrase) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  vaultSalt = crypto.getRandomValues(new Uint8Array(16));
+  vaultKey = await deriveKey(passphrase, vaultSalt);
+  storageMode = 'encrypted';
+  localStorage.removeItem(SESSION_ONLY_KEY);
+  removePlainAccounts();
+  await persist();
+};
+
+// Keep accounts in memory only; anything saved on disk is removed
+export const enableSessionOnly = () => {
+  storageMode = 'session';
+  vaultKey = null;
+  vaultSalt = null;
+  localStorage.removeItem(VAULT_KEY);
+  localStorage.setItem(SESSION_ONLY_KEY, '1');
+  removePlainAccounts();
+};
+
+export const getProfiles = () => accounts.profiles;
+
+export const getActiveProfileId = () => accounts.activeId;
+
+// Credentials of the active profile
+export const getCredentials = () => accounts.profiles.find(p => p.id === accounts.activeId) || null;
+
+// Adds a profile (or updates the one with the same key) and makes it active
+export const saveCredentials = async (apiKey, apiSecret, isPaper = true, name = '') => {
+  // Secrets are never written in plain text; without a passphrase they stay in memory
+  if (!storageMode) storageMode = 'session';
+
+  const existing = accounts.profiles.find(p => p.apiKey === apiKey && p.isPaper === isPaper);
+  const profile = {
+    id: existing?.id || createProfileId(),
+    name: name || existing?.name || `${isPaper ? 'Paper' : 'Live'} ${accounts.profiles.length + 1}`,
+    apiKey,
+    apiSecret,
+    isPaper,
+  };
+
+  accounts = {
+    activeId: profile.id,
+    profiles: existing
+      ? accounts.profiles.map(p => (p.id === existing.id ? profile : p))
+      : [...accounts.profiles, profile],
+  };
+  await persist();
+  return profile;
+};
+
+export const setActiveProfile = async (profileId) => {
+  if (!accounts.profiles.some(p => p.id === profileId)) return;
+  accounts = { ...accounts, activeId: profileId };
+  await persist();
+};
+
+export const removeProfile = async (profileId) => {
+  const profiles = accounts.profiles.filter(p => p.id !== profileId);
+  if (profiles.length === 0) {
+    clearCredentials();
+    return;
+  }
+  const activeId = accounts.activeId === profileId ? profiles[0]?.id || null : accounts.activeId;
+  accounts = { activeId, profiles };
+  await persist();
+};
+
+// Signs out of every profile and forgets everything stored on this device
+export const clearCredentials = () => {
+  lock();
+  storageMode = null;
+  localStorage.removeItem(VAULT_KEY);
+  localStorage.removeItem(SESSION_ONLY_KEY);
+  removePlainAccounts();
+};
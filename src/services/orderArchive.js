@@ -0,0 +1,253 @@
+import { getAllClosedOrders, getAllAccountActivities, getOrders } from './alpacaApi';
+import { getCredentials } from './credentialStore';
+import { CASH_FLOW_ACTIVITY_TYPES } from '../utils/ledger';
+
+// Closed orders and cash activities are kept per account in IndexedDB. Each load fetches only
+// what is newer than the last sync and reads the rest from disk, so views can cover an
+// account's whole history without downloading it again. Falls back to the API when IndexedDB
+// is unavailable (e.g. some private browsing modes).
+// A sync is pinned to the profile it started for: every page is fetched with that profile's
+// keys, so switching accounts midway can't file another account's orders under it.
+
+const DB_NAME = 'alpaca_archive';
+const DB_VERSION = 1;
+
+// Records are { key: '<account id>:<order or activity id>', accountId, data }
+const ORDERS_STORE = 'orders';
+const ACTIVITIES_STORE = 'activities';
+// Sync cursors, { key: '<account id>:<store>', cursor, syncedAt }
+const META_STORE = 'meta';
+
+// Re-read a little before the cursor so nothing submitted during the last sync is missed
+const ORDER_OVERLAP = 5 * 60 * 1000;
+// Activities are filtered by date, so step back a full day
+const ACTIVITY_OVERLAP = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      [ORDERS_STORE, ACTIVITIES_STORE].forEach(name => {
+        db.createObjectStore(name, { keyPath: 'key' }).createIndex('accountId', 'accountId');
+      });
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const readAll = async (storeName, accountId) => {
+  const db = await openDb();
+  const records = await promisify(
+    db.transaction(storeName).objectStore(storeName).index('accountId').getAll(accountId)
+  );
+  return records.map(record => record.data);
+};
+
+const readMeta = async (accountId, storeName) => {
+  const db = await openDb();
+  return promisify(db.transaction(META_STORE).objectStore(META_STORE).get(`${accountId}:${storeName}`));
+};
+
+// Upserts by id and moves the cursor in one transaction, so a failed write never skips data
+const writeRecords = async (storeName, accountId, items, cursor) => {
+  const db = await openDb();
+  const tx = db.transaction([storeName, META_STORE], 'readwrite');
+  const store = tx.objectStore(storeName);
+  items.forEach(item => store.put({ key: `${accountId}:${item.id}`, accountId, data: item }));
+  tx.objectStore(META_STORE).put({ key: `${accountId}:${storeName}`, cursor, syncedAt: new Date().toISOString() });
+  return transactionDone(tx);
+};
+
+const orderTime = (order) => order.submitted_at || order.created_at;
+
+const activityTime = (activity) => activity.transaction_time || activity.date;
+
+const toTime = (value) => new Date(value).getTime();
+
+// Activities can carry a bare date, so compare as timestamps rather than strings
+const inRange = (value, startDate, endDate) =>
+  (!startDate || toTime(value) >= toTime(startDate)) && (!endDate || toTime(value) <= toTime(endDate));
+
+const byTime = (getTime) => (a, b) => toTime(getTime(a)) - toTime(getTime(b));
+
+const toISOString = (time) => new Date(time).toISOString();
+
+// True when IndexedDB can't be opened in this browser
+const isArchiveUnavailable = () => openDb().then(() => false, () => true);
+
+// Rejects as soon as signal aborts, without stopping the promise itself
+const untilAborted = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// One sync per account and store at a time; overlapping loads wait for the same one and
+// all receive its progress. The sync itself only stops for cancelArchiveSyncs(): a caller's
+// signal just stops that caller waiting, so one unmounting view can't cancel another's load.
+const syncing = new Map();
+
+const runSync = (accountId, storeName, signal, sync, onProgress) => {
+  const syncKey = `${accountId}:${storeName}`;
+  if (!syncing.has(syncKey)) {
+    const listeners = new Set();
+    const controller = new AbortController();
+    const promise = sync(controller.signal, progress => listeners.forEach(listener => listener(progress)))
+      .finally(() => syncing.delete(syncKey));
+    // Every caller may have stopped waiting by the time it fails
+    promise.catch(() => {});
+    syncing.set(syncKey, { promise, listeners, controller });
+  }
+
+  const { promise, listeners } = syncing.get(syncKey);
+  if (onProgress) listeners.add(onProgress);
+  return untilAborted(promise, signal).finally(() => listeners.delete(onProgress));
+};
+
+const syncOrders = (profile, signal, onProgress) => runSync(profile.id, ORDERS_STORE, signal, async (syncSignal, reportProgress) => {
+  const accountId = profile.id;
+  const meta = await readMeta(accountId, ORDERS_STORE);
+  const startedAt = Date.now();
+
+  // An order still open at the last sync can close later, so the cursor never moves past
+  // the oldest open order's submission
+  const open = await getOrders({ status: 'open', limit: 500 }, { signal: syncSignal, credentials: profile });
+  const openFloor = Math.min(...open.map(order => toTime(orderTime(order))));
+  const capCursor = (time) => toISOString(Math.min(time, openFloor));
+
+  // Each page is stored as it arrives, so an interrupted sync resumes where it stopped
+  let writes = Promise.resolve();
+  let lastPage = [];
+  const onPage = ({ page, loaded, cursor }) => {
+    if (cursor) {
+      writes = writes.then(() => writeRecords(ORDERS_STORE, accountId, page, capCursor(toTime(cursor))));
+    } else {
+      lastPage = page;
+    }
+    reportProgress({ loaded, cursor });
+  };
+
+  try {
+    await getAllClosedOrders(meta?.cursor || null, null, { signal: syncSignal, onProgress: onPage, credentials: profile });
+  } finally {
+    await writes;
+  }
+
+  // The last page is written together with the final cursor
+  await writeRecords(ORDERS_STORE, accountId, lastPage, capCursor(startedAt - ORDER_OVERLAP));
+}, onProgress);
+
+const syncActivities = (profile, signal) => runSync(profile.id, ACTIVITIES_STORE, signal, async (syncSignal) => {
+  const accountId = profile.id;
+  // The cursor is the newest activity seen so far
+  const meta = await readMeta(accountId, ACTIVITIES_STORE);
+  const after = meta?.cursor ? toISOString(toTime(meta.cursor) - ACTIVITY_OVERLAP) : null;
+  const activities = await getAllAccountActivities(CASH_FLOW_ACTIVITY_TYPES, after, null, { signal: syncSignal, credentials: profile });
+
+  const latest = activities.reduce(
+    (max, activity) => Math.max(max, toTime(activityTime(activity))),
+    meta?.cursor ? toTime(meta.cursor) : 0
+  );
+  await writeRecords(ACTIVITIES_STORE, accountId, activities, latest > 0 ? toISOString(latest) : null);
+});
+
+// The profile is read once per load and passed down, never looked up again mid-sync
+const getActiveProfile = () => {
+  const profile = getCredentials();
+  if (!profile) throw new Error('Not authenticated');
+  return profile;
+};
+
+const filterOrders = (orders, startDate, endDate) => orders
+  .filter(order => inRange(orderTime(order), startDate, endDate))
+  .sort(byTime(orderTime));
+
+// Closed orders submitted between startDate and endDate (ISO strings, either may be null),
+// oldest first, like getAllClosedOrders. onProgress({ loaded, cursor }) reports newly
+// downloaded orders while syncing. When the sync fails partway, the error carries what the
+// archive holds so far as error.partialResults.
+export const getArchivedClosedOrders = async (startDate = null, endDate = null, { signal, onProgress } = {}) => {
+  const profile = getActiveProfile();
+  const accountId = profile.id;
+  if (await isArchiveUnavailable()) {
+    return getAllClosedOrders(startDate, endDate, { signal, onProgress, credentials: profile });
+  }
+
+  try {
+    await syncOrders(profile, signal, onProgress);
+  } catch (err) {
+    if (!signal?.aborted) {
+      err.partialResults = filterOrders(await readAll(ORDERS_STORE, accountId).catch(() => []), startDate, endDate);
+    }
+    throw err;
+  }
+
+  return filterOrders(await readAll(ORDERS_STORE, accountId), startDate, endDate);
+};
+
+// Archived activities of the given types (any of CASH_FLOW_ACTIVITY_TYPES), oldest first
+export const getArchivedActivities = async (activityTypes, startDate = null, endDate = null, { signal } = {}) => {
+  const profile = getActiveProfile();
+  const accountId = profile.id;
+  if (await isArchiveUnavailable()) {
+    return getAllAccountActivities(activityTypes, startDate, endDate, { signal, credentials: profile });
+  }
+
+  await syncActivities(profile, signal);
+  const activities = await readAll(ACTIVITIES_STORE, accountId);
+
+  return activities
+    .filter(activity => activityTypes.includes(activity.activity_type))
+    .filter(activity => inRange(activityTime(activity), startDate, endDate))
+    .sort(byTime(activityTime));
+};
+
+// Stop every sync in flight, e.g. before switching accounts
+export const cancelArchiveSyncs = () => {
+  syncing.forEach(({ controller }) => controller.abort(new DOMException('Sync canceled', 'AbortError')));
+};
+
+const deleteWhere = async (matches) => {
+  const db = await openDb();
+  const tx = db.transaction([ORDERS_STORE, ACTIVITIES_STORE, META_STORE], 'readwrite');
+  [ORDERS_STORE, ACTIVITIES_STORE, META_STORE].forEach(storeName => {
+    const request = tx.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (matches(cursor.value.key.split(':')[0])) cursor.delete();
+      cursor.continue();
+    };
+  });
+  return transactionDone(tx);
+};
+
+export const deleteAccountArchive = (accountId) =>
+  deleteWhere(id => id === accountId).catch(() => {});
+
+export const clearArchive = () => deleteWhere(() => true).catch(() => {});
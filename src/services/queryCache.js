@@ -0,0 +1,96 @@
+import { getActiveProfileId } from './credentialStore';
+
+// Shared in-memory cache behind useApi. Entries are keyed per account, concurrent requests
+// for the same key share one promise, and mutations invalidate by key prefix so every
+// mounted view of that data revalidates.
+
+// How long a cached result counts as fresh
+export const CACHE_TIME = {
+  live: 15 * 1000, // account, positions, open orders
+  standard: 60 * 1000,
+  history: 5 * 60 * 1000, // closed orders, activities, portfolio history
+  static: 60 * 60 * 1000, // historical bars
+};
+
+// key -> { data, updatedAt, invalidated, invalidatedAt, promise, listeners: Set }
+const cache = new Map();
+
+const getEntry = (cacheKey) => {
+  if (!cache.has(cacheKey)) {
+    cache.set(cacheKey, { data: undefined, updatedAt: 0, invalidated: false, invalidatedAt: 0, promise: null, listeners: new Set() });
+  }
+  return cache.get(cacheKey);
+};
+
+const notify = (entry, event) => entry.listeners.forEach(listener => listener(event, entry.data));
+
+// ['orders', 'closed', after] -> '<account id>:["orders","closed","2024-01-01"]'
+export const toCacheKey = (key) => `${getActiveProfileId()}:${JSON.stringify(key)}`;
+
+// Cached entry for a key, or undefined when nothing has been fetched yet
+export const peekQuery = (cacheKey) => {
+  const entry = cache.get(cacheKey);
+  return entry && entry.updatedAt > 0
+    ? { data: entry.data, updatedAt: entry.updatedAt, invalidated: entry.invalidated }
+    : undefined;
+};
+
+export const isStale = (cached, ttl) => !cached || cached.invalidated || Date.now() - cached.updatedAt > ttl;
+
+// Returns cached data while fresh, joins a request already in flight, otherwise calls fetcher.
+// force skips the freshness check but still joins an in-flight request.
+export const fetchQuery = (cacheKey, fetcher, { ttl = CACHE_TIME.standard, force = false } = {}) => {
+  const entry = getEntry(cacheKey);
+
+  if (entry.promise) return entry.promise;
+  if (!force && entry.updatedAt > 0 && !isStale(entry, ttl)) {
+    return Promise.resolve(entry.data);
+  }
+
+  // A request that started before an invalidation may already be out of date
+  const startedAt = Date.now();
+  entry.promise = Promise.resolve()
+    .then(fetcher)
+    .then(data => {
+      entry.promise = null;
+      entry.data = data;
+      entry.updatedAt = Date.now();
+      entry.invalidated = entry.invalidatedAt >= startedAt;
+      notify(entry, 'updated');
+      if (entry.invalidated) notify(entry, 'invalidated');
+      return data;
+    }, error => {
+      entry.promise = null;
+      throw error;
+    });
+
+  return entry.promise;
+};
+
+// listener(event, data) with event 'updated' or 'invalidated'; returns an unsubscribe function
+export const subscribeQuery = (cacheKey, listener) => {
+  const entry = getEntry(cacheKey);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+// Mark every query whose key starts with one of the prefixes as stale, e.g. [['orders'], ['positions']].
+// Mounted views are told to revalidate; the rest refetch on their next mount.
+export const invalidateQueries = (prefixes) => {
+  const accountPrefix = `${getActiveProfileId()}:`;
+  cache.forEach((entry, cacheKey) => {
+    if (!cacheKey.startsWith(accountPrefix)) return;
+    const key = JSON.parse(cacheKey.slice(accountPrefix.length));
+    const matches = prefixes.some(prefix => prefix.every((part, i) => key[i] === part));
+    if (!matches) return;
+
+    entry.invalidated = true;
+    entry.invalidatedAt = Date.now();
+    notify(entry, 'invalidated');
+  });
+};
+
+// Drop everything, e.g. when the app locks or signs out
+export const clearQueryCache = () => {
+  cache.clear();
+};
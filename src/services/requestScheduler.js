@@ -0,0 +1,163 @@
+// Central queue for Alpaca REST calls. Requests are grouped per API host and key, since each
+// key has its own rate-limit budget on the trading and market data APIs. Each group runs at
+// most MAX_CONCURRENT requests at once and pauses when the X-RateLimit-* headers say the budget
+// is used up. 429s are always retried. 5xx and network errors are retried only for requests
+// that are safe to repeat. Retries use jittered exponential backoff.
+
+const MAX_CONCURRENT = 4;
+const MAX_RETRIES = 5;
+const BASE_DELAY = 500;
+const MAX_DELAY = 30 * 1000;
+// Hold this many requests of the budget back instead of running it down to zero
+const RESERVE = 5;
+
+// bucketKey -> { active, queue: [{ start, cancel }], pausedUntil, timer }
+const buckets = new Map();
+
+// Aborted by cancelAllRequests(); every request listens to it alongside its own signal
+let sessionController = new AbortController();
+
+const getBucket = (bucketKey) => {
+  if (!buckets.has(bucketKey)) {
+    buckets.set(bucketKey, { active: 0, queue: [], pausedUntil: 0, timer: null });
+  }
+  return buckets.get(bucketKey);
+};
+
+const abortError = (signal) => signal.reason ?? new DOMException('Request canceled', 'AbortError');
+
+const pump = (bucket) => {
+  clearTimeout(bucket.timer);
+  bucket.timer = null;
+
+  const wait = bucket.pausedUntil - Date.now();
+  if (wait > 0) {
+    if (bucket.queue.length > 0) bucket.timer = setTimeout(() => pump(bucket), wait);
+    return;
+  }
+
+  while (bucket.queue.length > 0 && bucket.active < MAX_CONCURRENT) {
+    bucket.active += 1;
+    bucket.queue.shift().start();
+  }
+};
+
+// Resolves once the request may run; the caller must call release() afterwards
+const acquire = (bucket, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(abortError(signal));
+    return;
+  }
+
+  const onAbort = () => {
+    bucket.queue = bucket.queue.filter(item => item !== waiter);
+    reject(abortError(signal));
+  };
+  const waiter = {
+    start: () => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    },
+  };
+
+  signal.addEventListener('abort', onAbort, { once: true });
+  bucket.queue.push(waiter);
+  pump(bucket);
+});
+
+const release = (bucket) => {
+  bucket.active -= 1;
+  pump(bucket);
+};
+
+const pauseUntil = (bucket, time) => {
+  if (time > bucket.pausedUntil) bucket.pausedUntil = time;
+};
+
+// X-RateLimit-Reset is a unix timestamp in seconds
+const getResetTime = (response) => {
+  const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+  return Number.isFinite(reset) ? reset * 1000 : null;
+};
+
+const readRateLimit = (bucket, response) => {
+  const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+  const resetAt = getResetTime(response);
+  if (Number.isFinite(remaining) && remaining <= RESERVE && resetAt > Date.now()) {
+    pauseUntil(bucket, resetAt);
+  }
+};
+
+// Full jitter: a random delay between 0 and the exponential ceiling
+const backoffDelay = (attempt) =>
+  Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+
+// A 429 says when to come back through Retry-After (seconds) or the rate-limit reset time
+const retryAfterDelay = (response) => {
+  const retryAfter = parseFloat(response.headers.get('Retry-After'));
+  if (Number.isFinite(retryAfter)) return retryAfter * 1000;
+
+  const resetAt = getResetTime(response);
+  return resetAt ? Math.max(0, resetAt - Date.now()) : null;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(abortError(signal));
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const isRetryableStatus = (status, idempotent) => status === 429 || (idempotent && status >= 500);
+
+// send(signal) performs the fetch and returns the Response. The final Response is returned
+// whatever its status, so the caller still handles errors. idempotent allows retrying 5xx and
+// network errors; leave it off for requests that must not run twice, like order submission.
+export const scheduleRequest = async (bucketKey, send, { signal, idempotent = false } = {}) => {
+  const bucket = getBucket(bucketKey);
+  const combinedSignal = signal
+    ? AbortSignal.any([signal, sessionController.signal])
+    : sessionController.signal;
+
+  for (let attempt = 0; ; attempt += 1) {
+    await acquire(bucket, combinedSignal);
+
+    let response;
+    try {
+      response = await send(combinedSignal);
+    } catch (err) {
+      release(bucket);
+      if (combinedSignal.aborted || !idempotent || attempt >= MAX_RETRIES) throw err;
+      await sleep(backoffDelay(attempt), combinedSignal);
+      continue;
+    }
+    release(bucket);
+
+    readRateLimit(bucket, response);
+    if (!isRetryableStatus(response.status, idempotent) || attempt >= MAX_RETRIES) {
+      return response;
+    }
+
+    const delay = response.status === 429
+      ? Math.max(retryAfterDelay(response) ?? 0, backoffDelay(attempt))
+      : backoffDelay(attempt);
+    // Other queued requests to this bucket would hit the same 429, so hold them too
+    if (response.status === 429) pauseUntil(bucket, Date.now() + delay);
+    await sleep(delay, combinedSignal);
+  }
+};
+
+// Abort everything queued, waiting to retry or in flight, e.g. when the app locks or signs out
+export const cancelAllRequests = () => {
+  sessionController.abort(new DOMException('Request canceled', 'AbortError'));
+  sessionController = new AbortController();
+};
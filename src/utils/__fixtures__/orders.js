@@ -0,0 +1,79 @@
+// Order lists in the shape Alpaca returns from /v2/orders, for the matching engine tests.
+// Quantities and prices are strings like the API sends them.
+
+export const fill = (id, symbol, side, qty, price, filledAt, overrides = {}) => ({
+  id,
+  symbol,
+  side,
+  type: 'market',
+  status: 'filled',
+  qty: String(qty),
+  filled_qty: String(qty),
+  filled_avg_price: String(price),
+  submitted_at: filledAt,
+  filled_at: filledAt,
+  ...overrides,
+});
+
+// Buy 100, then close it in two sells, one of them an order canceled after a partial fill
+export const PARTIAL_FILLS = [
+  fill('b1', 'AAPL', 'buy', 100, 150, '2024-01-02T15:00:00Z'),
+  fill('s1', 'AAPL', 'sell', 40, 160, '2024-01-05T15:00:00Z', { qty: '100', status: 'canceled' }),
+  fill('s2', 'AAPL', 'sell', 60, 155, '2024-01-08T15:00:00Z'),
+  // Canceled before anything filled
+  fill('s3', 'AAPL', 'sell', 0, 0, '2024-01-09T15:00:00Z', { qty: '50', status: 'canceled', filled_avg_price: null, filled_at: null }),
+];
+
+// Short 50, cover 30 at a profit and 20 at a loss
+export const SHORTS = [
+  fill('ss1', 'TSLA', 'sell', 50, 200, '2024-02-01T15:00:00Z'),
+  fill('bc1', 'TSLA', 'buy', 30, 180, '2024-02-05T15:00:00Z'),
+  fill('bc2', 'TSLA', 'buy', 20, 210, '2024-02-07T15:00:00Z'),
+];
+
+// A sell bigger than the open long closes it and opens a short with the rest
+export const FLIP_LONG_TO_SHORT = [
+  fill('b1', 'MSFT', 'buy', 10, 300, '2024-03-01T15:00:00Z'),
+  fill('s1', 'MSFT', 'sell', 25, 310, '2024-03-04T15:00:00Z'),
+  fill('b2', 'MSFT', 'buy', 15, 305, '2024-03-06T15:00:00Z'),
+];
+
+// Scale in with three buys at different prices, scale out with two sells
+export const SCALE_IN_OUT = [
+  fill('b1', 'NVDA', 'buy', 10, 100, '2024-04-01T15:00:00Z'),
+  fill('b2', 'NVDA', 'buy', 10, 120, '2024-04-02T15:00:00Z'),
+  fill('b3', 'NVDA', 'buy', 10, 90, '2024-04-03T15:00:00Z'),
+  fill('s1', 'NVDA', 'sell', 15, 110, '2024-04-04T15:00:00Z'),
+  fill('s2', 'NVDA', 'sell', 10, 130, '2024-04-05T15:00:00Z'),
+];
+
+// Loss on 100 shares, then 60 bought back within 30 days and sold later
+export const WASH_SALE = [
+  fill('b1', 'AMD', 'buy', 100, 50, '2024-01-02T15:00:00Z'),
+  fill('s1', 'AMD', 'sell', 100, 40, '2024-03-01T15:00:00Z'),
+  fill('b2', 'AMD', 'buy', 60, 42, '2024-03-15T15:00:00Z'),
+  fill('s2', 'AMD', 'sell', 60, 45, '2024-06-03T15:00:00Z'),
+];
+
+// Loss with no purchase within 30 days either side
+export const NO_WASH_SALE = [
+  fill('b1', 'AMD', 'buy', 100, 50, '2024-01-02T15:00:00Z'),
+  fill('s1', 'AMD', 'sell', 100, 40, '2024-03-01T15:00:00Z'),
+  fill('b2', 'AMD', 'buy', 100, 42, '2024-04-15T15:00:00Z'),
+];
+
+// Held 302 days before the loss; the replacement is sold 107 days after purchase
+export const WASH_SALE_LONG_TERM = [
+  fill('b1', 'INTC', 'buy', 100, 50, '2023-01-03T15:00:00Z'),
+  fill('s1', 'INTC', 'sell', 100, 40, '2023-11-01T15:00:00Z'),
+  fill('b2', 'INTC', 'buy', 100, 41, '2023-11-15T15:00:00Z'),
+  fill('s2', 'INTC', 'sell', 100, 60, '2024-03-01T15:00:00Z'),
+];
+
+// A replacement buy bigger than the loss sale: only 60 of its 100 shares are replacements
+export const WASH_SALE_PARTIAL_REPLACEMENT = [
+  fill('b1', 'AMD', 'buy', 60, 50, '2024-01-02T15:00:00Z'),
+  fill('s1', 'AMD', 'sell', 60, 40, '2024-03-01T15:00:00Z'),
+  fill('b2', 'AMD', 'buy', 100, 42, '2024-03-15T15:00:00Z'),
+  fill('s2', 'AMD', 'sell', 100, 45, '2024-06-03T15:00:00Z'),
+];
@@ -0,0 +1,105 @@
+import { startOfMonth, startOfQuarter, startOfYear, subYears, startOfDay, endOfDay, parseISO, isValid } from 'date-fns';
+
+// Analytics view filters, kept in the URL so a view can be bookmarked and shared:
+// ?range=ytd | ?range=custom&from=2024-01-01&to=2024-06-30, &symbols=AAPL,MSFT, &exclude=TSLA, &direction=long
+
+export const RANGE_PRESETS = [
+  { id: 'mtd', label: 'MTD' },
+  { id: 'qtd', label: 'QTD' },
+  { id: 'ytd', label: 'YTD' },
+  { id: '1y', label: '1Y' },
+  { id: 'all', label: 'All' },
+  { id: 'custom', label: 'Custom' },
+];
+
+export const DIRECTIONS = [
+  { id: 'all', label: 'All' },
+  { id: 'long', label: 'Long' },
+  { id: 'short', label: 'Short' },
+];
+
+const DEFAULT_RANGE = 'all';
+
+const parseSymbols = (value) =>
+  (value || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = parseISO(value);
+  return isValid(date) ? value : null;
+};
+
+export const parseAnalyticsFilters = (searchParams) => {
+  const range = searchParams.get('range');
+  const direction = searchParams.get('direction');
+
+  return {
+    range: RANGE_PRESETS.some(p => p.id === range) ? range : DEFAULT_RANGE,
+    from: parseDay(searchParams.get('from')),
+    to: parseDay(searchParams.get('to')),
+    symbols: parseSymbols(searchParams.get('symbols')),
+    exclude: parseSymbols(searchParams.get('exclude')),
+    direction: DIRECTIONS.some(d => d.id === direction) ? direction : 'all',
+  };
+};
+
+// Only non-default values are written, so the default view has a clean URL
+export const toSearchParams = (filters) => {
+  const params = {};
+  if (filters.range !== DEFAULT_RANGE) params.range = filters.range;
+  if (filters.range === 'custom') {
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+  }
+  if (filters.symbols.length > 0) params.symbols = filters.symbols.join(',');
+  if (filters.exclude.length > 0) params.exclude = filters.exclude.join(',');
+  if (filters.direction !== 'all') params.direction = filters.direction;
+  return params;
+};
+
+// { start, end } as Dates; either is null when the range is open on that side
+export const getRangeBounds = (filters, now = new Date()) => {
+  switch (filters.range) {
+    case 'mtd':
+      return { start: startOfMonth(now), end: null };
+    case 'qtd':
+      return { start: startOfQuarter(now), end: null };
+    case 'ytd':
+      return { start: startOfYear(now), end: null };
+    case '1y':
+      return { start: startOfDay(subYears(now, 1)), end: null };
+    case 'custom':
+      return {
+        start: filters.from ? startOfDay(parseISO(filters.from)) : null,
+        end: filters.to ? endOfDay(parseISO(filters.to)) : null,
+      };
+    default:
+      return { start: null, end: null };
+  }
+};
+
+export const isInRange = (date, { start, end }) => {
+  const time = new Date(date).getTime();
+  return (!start || time >= start.getTime()) && (!end || time <= end.getTime());
+};
+
+// Round trips are matched over the full history so earlier buys still open them;
+// the range then applies to the exit date
+export const filterRoundTrips = (roundTrips, filters, bounds) => roundTrips.filter(rt => {
+  if (!isInRange(rt.exitDate, bounds)) return false;
+  if (filters.symbols.length > 0 && !filters.symbols.includes(rt.symbol)) return false;
+  if (filters.exclude.includes(rt.symbol)) return false;
+  if (filters.direction !== 'all' && rt.direction !== filters.direction) return false;
+  return true;
+});
+
+// Filled orders for the drill-downs; direction belongs to round trips, so only symbols apply
+export const filterOrders = (orders, filters) => orders.filter(order => {
+  if (!order.filled_at) return false;
+  if (filters.symbols.length > 0 && !filters.symbols.includes(order.symbol)) return false;
+  if (filters.exclude.includes(order.symbol)) return false;
+  return true;
+});
+
+export const hasTradeFilters = (filters) =>
+  filters.symbols.length > 0 || filters.exclude.length > 0 || filters.direction !== 'all';
@@ -0,0 +1,65 @@
+// Compare an equity series against a benchmark symbol's bars.
+// points: [{ timestamp (ms), ... }], bars: Alpaca bars ({ t, c, ... }) sorted by time.
+import { calculatePeriodReturns } from './returns';
+import { TRADING_DAYS, mean, stdDev } from './stats';
+
+// Alpaca bar timeframes matching the portfolio history timeframes
+export const toBarTimeframe = (historyTimeframe) => (historyTimeframe === '1D' ? '1Day' : historyTimeframe);
+
+// Benchmark close at each point: the latest bar that started at or before it
+export const alignBars = (points = [], bars = []) => {
+  const sortedBars = bars.map(bar => ({ time: new Date(bar.t).getTime(), close: bar.c }));
+  let barIdx = -1;
+
+  return points.map(point => {
+    while (barIdx + 1 < sortedBars.length && sortedBars[barIdx + 1].time <= point.timestamp) {
+      barIdx++;
+    }
+    return barIdx >= 0 ? sortedBars[barIdx].close : null;
+  });
+};
+
+// Percent return of the benchmark since the first aligned close
+export const normalizeBenchmark = (points = [], bars = []) => {
+  const closes = alignBars(points, bars);
+  const base = closes.find(close => close !== null);
+  return closes.map(close => (close !== null && base ? (close / base - 1) * 100 : null));
+};
+
+// Alpha, beta, correlation and tracking error of the flow-adjusted portfolio returns against
+// the benchmark over the same intervals. Alpha and tracking error are annualized percentages;
+// riskFreeRate is an annual percentage.
+export const calculateBenchmarkStats = (points = [], flows = [], bars = [], riskFreeRate = 0) => {
+  const returnByTimestamp = new Map(calculatePeriodReturns(points, flows).map(r => [r.timestamp, r.value]));
+  const closes = alignBars(points, bars);
+
+  const pairs = [];
+  for (let i = 1; i < points.length; i++) {
+    const portfolio = returnByTimestamp.get(points[i].timestamp);
+    if (portfolio === undefined || !closes[i] || !closes[i - 1]) continue;
+    pairs.push({ portfolio, benchmark: closes[i] / closes[i - 1] - 1 });
+  }
+
+  if (pairs.length < 2) return null;
+
+  const dailyRiskFree = riskFreeRate / 100 / TRADING_DAYS;
+  const p = pairs.map(pair => pair.portfolio - dailyRiskFree);
+  const b = pairs.map(pair => pair.benchmark - dailyRiskFree);
+  const meanP = mean(p);
+  const meanB = mean(b);
+
+  const covariance = pairs.reduce((sum, _, i) => sum + (p[i] - meanP) * (b[i] - meanB), 0) / (pairs.length - 1);
+  const varianceP = p.reduce((sum, v) => sum + (v - meanP) ** 2, 0) / (pairs.length - 1);
+  const varianceB = b.reduce((sum, v) => sum + (v - meanB) ** 2, 0) / (pairs.length - 1);
+
+  const beta = varianceB > 0 ? covariance / varianceB : null;
+  const activeReturns = pairs.map(pair => pair.portfolio - pair.benchmark);
+
+  return {
+    beta,
+    alpha: beta !== null ? (meanP - beta * meanB) * TRADING_DAYS * 100 : null,
+    correlation: varianceP > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceP * varianceB) : null,
+    trackingError: stdDev(activeReturns) * Math.sqrt(TRADING_DAYS) * 100,
+    periods: pairs.length,
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { calculateBenchmarkStats, alignBars, normalizeBenchmark } from './benchmark';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2024-01-02T05:00:00Z').getTime();
+
+const daily = (equities) => equities.map((equity, i) => ({ timestamp: START + i * DAY_MS, equity }));
+const bars = (closes) => closes.map((c, i) => ({ t: new Date(START + i * DAY_MS).toISOString(), c }));
+
+// Benchmark returns of +1%, -1%, +2%: mean 0.6667%, sample standard deviation 1.52753%
+const BENCHMARK = bars([100, 101, 99.99, 101.9898]);
+
+describe('calculateBenchmarkStats', () => {
+  it('finds beta 2 and perfect correlation for twice the benchmark return', () => {
+    // +2%, -2%, +4%
+    const stats = calculateBenchmarkStats(daily([1000, 1020, 999.6, 1039.584]), [], BENCHMARK);
+
+    expect(stats.beta).toBeCloseTo(2);
+    expect(stats.correlation).toBeCloseTo(1);
+    expect(stats.alpha).toBeCloseTo(0);
+    // The active return is the benchmark return again: 0.0152753 * sqrt(252)
+    expect(stats.trackingError).toBeCloseTo(24.2487, 3);
+    expect(stats.periods).toBe(3);
+  });
+
+  it('annualizes a steady edge over the benchmark as alpha with no tracking error', () => {
+    // The benchmark return plus 0.1% every day: +1.1%, -0.9%, +2.1%
+    const stats = calculateBenchmarkStats(daily([1000, 1011, 1001.901, 1022.940921]), [], BENCHMARK);
+
+    expect(stats.beta).toBeCloseTo(1);
+    expect(stats.correlation).toBeCloseTo(1);
+    // 0.001 * 252
+    expect(stats.alpha).toBeCloseTo(25.2);
+    expect(stats.trackingError).toBeCloseTo(0);
+  });
+
+  it('measures alpha in excess of the risk-free rate', () => {
+    // Rp - rf = alpha + 2 (Rb - rf) with Rp = 2 Rb leaves alpha = rf
+    const stats = calculateBenchmarkStats(daily([1000, 1020, 999.6, 1039.584]), [], BENCHMARK, 4);
+
+    expect(stats.beta).toBeCloseTo(2);
+    expect(stats.alpha).toBeCloseTo(4);
+  });
+
+  it('finds a negative correlation for an inverse position', () => {
+    // -1%, +1%, -2%
+    const stats = calculateBenchmarkStats(daily([1000, 990, 999.9, 979.902]), [], BENCHMARK);
+
+    expect(stats.beta).toBeCloseTo(-1);
+    expect(stats.correlation).toBeCloseTo(-1);
+  });
+
+  it('leaves deposits out of the portfolio returns', () => {
+    const points = daily([1000, 1020, 1999.6, 2079.584]);
+    const stats = calculateBenchmarkStats(points, [{ date: new Date(points[2].timestamp).toISOString(), amount: 1000 }], BENCHMARK);
+
+    expect(stats.beta).toBeCloseTo(2);
+    expect(stats.correlation).toBeCloseTo(1);
+  });
+
+  it('needs at least two aligned periods', () => {
+    expect(calculateBenchmarkStats(daily([1000, 1010]), [], BENCHMARK)).toBeNull();
+  });
+});
+
+describe('alignBars', () => {
+  it('uses the latest bar at or before each point', () => {
+    const points = [{ timestamp: START - DAY_MS }, { timestamp: START + DAY_MS / 2 }, { timestamp: START + 3 * DAY_MS }];
+    expect(alignBars(points, BENCHMARK)).toEqual([null, 100, 101.9898]);
+  });
+});
+
+describe('normalizeBenchmark', () => {
+  it('returns the percent change since the first aligned close', () => {
+    expect(normalizeBenchmark(daily([0, 0, 0, 0]), BENCHMARK))
+      .toEqual([0, expect.closeTo(1), expect.closeTo(-0.01), expect.closeTo(1.9898)]);
+  });
+});
@@ -0,0 +1,94 @@
+// Maximum adverse and favorable excursion (MAE/MFE) of round trips from price bars over each
+// holding window, and R-multiples against the journal's planned stop.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Finest bars that keep a holding window to a few hundred bars
+const TIMEFRAMES = [
+  { id: '1Min', duration: MINUTE, maxHolding: DAY },
+  { id: '15Min', duration: 15 * MINUTE, maxHolding: 10 * DAY },
+  { id: '1Hour', duration: HOUR, maxHolding: 90 * DAY },
+  { id: '1Day', duration: DAY, maxHolding: Infinity },
+];
+
+export const getExcursionTimeframe = (roundTrip) => {
+  const holding = new Date(roundTrip.exitDate) - new Date(roundTrip.entryDate);
+  return TIMEFRAMES.find(tf => holding <= tf.maxHolding);
+};
+
+// Bar request covering the holding window, widened to whole bars
+export const getExcursionWindow = (roundTrip) => {
+  const timeframe = getExcursionTimeframe(roundTrip);
+  const entry = new Date(roundTrip.entryDate).getTime();
+  const exit = new Date(roundTrip.exitDate).getTime();
+
+  return {
+    timeframe: timeframe.id,
+    start: new Date(Math.floor(entry / timeframe.duration) * timeframe.duration).toISOString(),
+    end: new Date(exit).toISOString(),
+  };
+};
+
+// Per-share and total excursions measured from the entry price. MAE is zero or negative and
+// MFE zero or positive, in the trade's own direction. Bars that overlap the window count in
+// full, so the entry and exit bars can slightly overstate both.
+export const calculateExcursion = (roundTrip, bars) => {
+  const prices = [roundTrip.entryPrice, roundTrip.exitPrice];
+  bars.forEach(bar => prices.push(bar.h, bar.l));
+
+  const high = Math.max(...prices);
+  const low = Math.min(...prices);
+  const isLong = roundTrip.direction === 'long';
+  const maePerShare = isLong ? low - roundTrip.entryPrice : roundTrip.entryPrice - high;
+  const mfePerShare = isLong ? high - roundTrip.entryPrice : roundTrip.entryPrice - low;
+
+  return {
+    maePerShare,
+    mfePerShare,
+    mae: maePerShare * roundTrip.qty,
+    mfe: mfePerShare * roundTrip.qty,
+    maePercent: (maePerShare / roundTrip.entryPrice) * 100,
+    mfePercent: (mfePerShare / roundTrip.entryPrice) * 100,
+  };
+};
+
+// Risk per share from the planned stop, or null when there is no usable stop
+export const getRiskPerShare = (roundTrip, plannedStop) => {
+  if (plannedStop === null || plannedStop === undefined) return null;
+  const risk = roundTrip.direction === 'long'
+    ? roundTrip.entryPrice - plannedStop
+    : plannedStop - roundTrip.entryPrice;
+  return risk > 0 ? risk : null;
+};
+
+// Final P/L in units of the risk taken, e.g. 2 = made twice what the stop risked
+export const calculateRMultiple = (roundTrip, plannedStop) => {
+  const risk = getRiskPerShare(roundTrip, plannedStop);
+  return risk ? roundTrip.pl / roundTrip.qty / risk : null;
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// rows: [{ roundTrip, excursion, rMultiple, maeR }]
+export const summarizeExcursions = (rows) => {
+  const winners = rows.filter(row => row.roundTrip.pl >= 0);
+  const losers = rows.filter(row => row.roundTrip.pl < 0);
+  const withR = rows.filter(row => row.rMultiple !== null);
+
+  return {
+    analyzed: rows.length,
+    avgMaeWinners: average(winners.map(row => row.excursion.maePercent)),
+    avgMaeLosers: average(losers.map(row => row.excursion.maePercent)),
+    avgMfeWinners: average(winners.map(row => row.excursion.mfePercent)),
+    // Share of the best open profit that winners kept at exit
+    avgCapture: average(
+      winners.filter(row => row.excursion.mfe > 0).map(row => (row.roundTrip.pl / row.excursion.mfe) * 100)
+    ),
+    withStops: withR.length,
+    avgR: average(withR.map(row => row.rMultiple)),
+    // Winners whose drawdown went past the planned stop without triggering it
+    winnersPastStop: withR.filter(row => row.roundTrip.pl >= 0 && row.maeR < -1).length,
+  };
+};
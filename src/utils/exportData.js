@@ -0,0 +1,108 @@
+// CSV/JSON export with fixed column sets, so headers stay stable between exports.
+// A column is { header, value: (row) => any }; JSON uses the headers as keys too.
+
+const num = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+export const ORDER_COLUMNS = [
+  { header: 'order_id', value: o => o.id },
+  { header: 'symbol', value: o => o.symbol },
+  { header: 'side', value: o => o.side },
+  { header: 'type', value: o => o.type },
+  { header: 'time_in_force', value: o => o.time_in_force },
+  { header: 'status', value: o => o.status },
+  { header: 'qty', value: o => num(o.qty) },
+  { header: 'filled_qty', value: o => num(o.filled_qty) },
+  { header: 'filled_avg_price', value: o => num(o.filled_avg_price) },
+  { header: 'limit_price', value: o => num(o.limit_price) },
+  { header: 'stop_price', value: o => num(o.stop_price) },
+  { header: 'submitted_at', value: o => o.submitted_at },
+  { header: 'filled_at', value: o => o.filled_at },
+];
+
+export const ROUND_TRIP_COLUMNS = [
+  { header: 'symbol', value: rt => rt.symbol },
+  { header: 'direction', value: rt => rt.direction },
+  { header: 'qty', value: rt => rt.qty },
+  { header: 'entry_price', value: rt => rt.entryPrice },
+  { header: 'exit_price', value: rt => rt.exitPrice },
+  { header: 'cost', value: rt => rt.cost },
+  { header: 'proceeds', value: rt => rt.revenue },
+  { header: 'pl', value: rt => rt.pl },
+  { header: 'pl_percent', value: rt => rt.plPercent },
+  { header: 'entry_date', value: rt => rt.entryDate },
+  { header: 'exit_date', value: rt => rt.exitDate },
+  { header: 'entry_order_id', value: rt => rt.entryOrderId },
+  { header: 'exit_order_id', value: rt => rt.exitOrderId },
+  { header: 'wash_sale', value: rt => (rt.washSale ? 'W' : '') },
+  { header: 'disallowed_loss', value: rt => rt.disallowedLoss ?? 0 },
+  { header: 'basis_adjustment', value: rt => rt.basisAdjustment ?? 0 },
+  { header: 'unadjusted_pl', value: rt => rt.unadjustedPL ?? rt.pl },
+];
+
+export const SYMBOL_STATS_COLUMNS = [
+  { header: 'symbol', value: s => s.symbol },
+  { header: 'realized_pl', value: s => s.realizedPL },
+  { header: 'trades', value: s => s.trades },
+  { header: 'wins', value: s => s.winCount },
+  { header: 'losses', value: s => s.lossCount },
+  { header: 'win_rate', value: s => s.winRate },
+];
+
+export const POSITION_COLUMNS = [
+  { header: 'symbol', value: p => p.symbol },
+  { header: 'side', value: p => p.side },
+  { header: 'qty', value: p => num(p.qty) },
+  { header: 'avg_entry_price', value: p => num(p.avg_entry_price) },
+  { header: 'current_price', value: p => num(p.current_price) },
+  { header: 'cost_basis', value: p => num(p.cost_basis) },
+  { header: 'market_value', value: p => num(p.market_value) },
+  { header: 'unrealized_pl', value: p => num(p.unrealized_pl) },
+  { header: 'unrealized_plpc', value: p => num(p.unrealized_plpc) },
+];
+
+// symbolStats is keyed by symbol; exports want one row per symbol
+export const symbolStatsToRows = (symbolStats = {}) =>
+  Object.entries(symbolStats)
+    .map(([symbol, stats]) => ({ symbol, ...stats }))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCSV = (rows = [], columns = []) => {
+  const header = columns.map(col => escapeCSV(col.header)).join(',');
+  const lines = rows.map(row => columns.map(col => escapeCSV(col.value(row))).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+export const toJSON = (rows = [], columns = []) =>
+  JSON.stringify(
+    rows.map(row => Object.fromEntries(columns.map(col => [col.header, col.value(row) ?? null]))),
+    null,
+    2
+  );
+
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// format is 'csv' or 'json'; name becomes the file name prefix
+export const exportRows = (format, name, rows, columns) => {
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'json') {
+    downloadFile(`${name}-${date}.json`, toJSON(rows, columns), 'application/json');
+  } else {
+    downloadFile(`${name}-${date}.csv`, toCSV(rows, columns), 'text/csv;charset=utf-8');
+  }
+};
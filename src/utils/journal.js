@@ -0,0 +1,94 @@
+// Trade journal: tags, notes, screenshots and a planned stop/target per order id.
+// A round trip reads the journal of its entry order (where the setup is recorded) and
+// picks up tags from its exit order too.
+import { summarizeTrades } from './tradeMatching';
+
+export const EMPTY_JOURNAL_ENTRY = {
+  tags: [],
+  notes: '',
+  screenshots: [],
+  plannedStop: null,
+  plannedTarget: null,
+};
+
+export const UNTAGGED = '(untagged)';
+
+// Screenshots are downscaled JPEGs so a few of them fit in localStorage
+export const MAX_SCREENSHOTS = 3;
+const SCREENSHOT_MAX_SIZE = 1024;
+const SCREENSHOT_QUALITY = 0.75;
+
+// "Earnings Play" -> "earnings-play"
+export const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, '-');
+
+export const isEmptyEntry = (entry) =>
+  !entry ||
+  (entry.tags.length === 0 && !entry.notes && entry.screenshots.length === 0 &&
+    entry.plannedStop === null && entry.plannedTarget === null);
+
+export const getJournalEntry = (journal, orderId) => ({ ...EMPTY_JOURNAL_ENTRY, ...journal[orderId] });
+
+export const getRoundTripJournal = (journal, roundTrip) => {
+  const entry = getJournalEntry(journal, roundTrip.entryOrderId);
+  const exit = getJournalEntry(journal, roundTrip.exitOrderId);
+
+  return {
+    ...entry,
+    tags: [...new Set([...entry.tags, ...exit.tags])],
+    plannedStop: entry.plannedStop ?? exit.plannedStop,
+    plannedTarget: entry.plannedTarget ?? exit.plannedTarget,
+  };
+};
+
+// Every tag in use, most used first
+export const collectTags = (journal) => {
+  const counts = new Map();
+  Object.values(journal).forEach(entry => {
+    (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+};
+
+// Win rate, expectancy and P/L per tag. A round trip with several tags counts toward each.
+export const summarizeByTag = (roundTrips, journal) => {
+  const groups = new Map();
+
+  roundTrips.forEach(rt => {
+    const { tags } = getRoundTripJournal(journal, rt);
+    (tags.length > 0 ? tags : [UNTAGGED]).forEach(tag => {
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(rt);
+    });
+  });
+
+  return Array.from(groups.entries())
+    .map(([tag, trips]) => ({ tag, ...summarizeTrades(trips) }))
+    .sort((a, b) => b.totalPL - a.totalPL);
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read image'));
+  };
+  image.src = url;
+});
+
+// Image file -> downscaled JPEG data URL
+export const readScreenshot = async (file) => {
+  const image = await loadImage(file);
+  const scale = Math.min(1, SCREENSHOT_MAX_SIZE / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', SCREENSHOT_QUALITY);
+};
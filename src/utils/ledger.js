@@ -0,0 +1,124 @@
+// Cash ledger built from account activities, merged with fills from orders.
+// Every entry carries a signed cash amount so deposits can be told apart from returns.
+
+export const DIVIDEND_TYPES = ['DIV', 'DIVCGL', 'DIVCGS', 'DIVFT', 'DIVNRA', 'DIVROC', 'DIVTW', 'DIVTXEX'];
+export const INTEREST_TYPES = ['INT', 'INTNRA', 'INTTW'];
+// DIVFEE is a fee charged on a dividend, not part of the dividend itself
+export const FEE_TYPES = ['FEE', 'CFEE', 'PTC', 'DIVFEE'];
+export const TRANSFER_TYPES = ['CSD', 'CSW', 'JNLC'];
+
+// Everything that moves cash without being a trade
+export const CASH_FLOW_ACTIVITY_TYPES = [...DIVIDEND_TYPES, ...INTEREST_TYPES, ...FEE_TYPES, ...TRANSFER_TYPES];
+
+const getCategory = (activityType) => {
+  if (activityType === 'FILL') return 'trade';
+  if (DIVIDEND_TYPES.includes(activityType)) return 'dividend';
+  if (INTEREST_TYPES.includes(activityType)) return 'interest';
+  if (FEE_TYPES.includes(activityType)) return 'fee';
+  if (TRANSFER_TYPES.includes(activityType)) return 'transfer';
+  return 'other';
+};
+
+const fillAmount = (side, qty, price) => (side === 'buy' ? -1 : 1) * qty * price;
+
+const fromFillActivity = (activity) => {
+  const qty = parseFloat(activity.qty);
+  const price = parseFloat(activity.price);
+
+  return {
+    id: activity.id,
+    date: activity.transaction_time,
+    type: 'FILL',
+    category: 'trade',
+    symbol: activity.symbol,
+    side: activity.side,
+    qty,
+    price,
+    amount: fillAmount(activity.side, qty, price),
+    orderId: activity.order_id,
+    description: `${activity.side} ${qty} ${activity.symbol} @ ${price}`,
+  };
+};
+
+const fromCashActivity = (activity) => ({
+  id: activity.id,
+  date: activity.date,
+  type: activity.activity_type,
+  category: getCategory(activity.activity_type),
+  symbol: activity.symbol || null,
+  amount: parseFloat(activity.net_amount || 0),
+  description: activity.description || activity.activity_type,
+});
+
+const fromOrder = (order) => {
+  const qty = parseFloat(order.filled_qty);
+  const price = parseFloat(order.filled_avg_price);
+
+  return {
+    id: order.id,
+    date: order.filled_at,
+    type: 'FILL',
+    category: 'trade',
+    symbol: order.symbol,
+    side: order.side,
+    qty,
+    price,
+    amount: fillAmount(order.side, qty, price),
+    orderId: order.id,
+    description: `${order.side} ${qty} ${order.symbol} @ ${price}`,
+  };
+};
+
+// Merge activities with filled orders. An order only becomes an entry when no FILL
+// activity already covers it, so the same ledger works with or without FILL activities.
+export const buildLedger = (activities = [], orders = []) => {
+  const entries = activities.map(activity =>
+    activity.activity_type === 'FILL' ? fromFillActivity(activity) : fromCashActivity(activity)
+  );
+
+  const filledOrderIds = new Set(entries.filter(e => e.orderId).map(e => e.orderId));
+  orders
+    .filter(order => parseFloat(order.filled_qty) > 0 && !filledOrderIds.has(order.id))
+    .forEach(order => entries.push(fromOrder(order)));
+
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+export const summarizeLedger = (entries = []) => {
+  const totals = {
+    deposits: 0,
+    withdrawals: 0,
+    netDeposits: 0,
+    dividends: 0,
+    interest: 0,
+    fees: 0,
+    tradeCashFlow: 0,
+    other: 0,
+  };
+
+  entries.forEach(entry => {
+    switch (entry.category) {
+      case 'transfer':
+        if (entry.amount >= 0) totals.deposits += entry.amount;
+        else totals.withdrawals += Math.abs(entry.amount);
+        break;
+      case 'dividend':
+        totals.dividends += entry.amount;
+        break;
+      case 'interest':
+        totals.interest += entry.amount;
+        break;
+      case 'fee':
+        totals.fees += Math.abs(entry.amount);
+        break;
+      case 'trade':
+        totals.tradeCashFlow += entry.amount;
+        break;
+      default:
+        totals.other += entry.amount;
+    }
+  });
+
+  totals.netDeposits = totals.deposits - totals.withdrawals;
+  return totals;
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { buildLedger, summarizeLedger } from './ledger';
+import { fill } from './__fixtures__/orders';
+
+const activity = (id, type, amount, date = '2024-03-01') => ({ id, activity_type: type, net_amount: String(amount), date });
+
+describe('summarizeLedger', () => {
+  it('counts dividend fees as fees, not dividend income', () => {
+    const totals = summarizeLedger(buildLedger([
+      activity('a1', 'DIV', 25),
+      activity('a2', 'DIVFEE', -1.5),
+      activity('a3', 'FEE', -0.5),
+    ]));
+
+    expect(totals.dividends).toBe(25);
+    expect(totals.fees).toBe(2);
+  });
+
+  it('splits transfers into deposits and withdrawals', () => {
+    const totals = summarizeLedger(buildLedger([
+      activity('a1', 'CSD', 1000),
+      activity('a2', 'CSW', -250),
+    ]));
+
+    expect(totals).toMatchObject({ deposits: 1000, withdrawals: 250, netDeposits: 750 });
+  });
+});
+
+describe('buildLedger', () => {
+  it('adds fills from orders that no FILL activity covers', () => {
+    const entries = buildLedger(
+      [{ id: 'f1', activity_type: 'FILL', order_id: 'b1', side: 'buy', qty: '10', price: '100', symbol: 'AAPL', transaction_time: '2024-01-02T15:00:00Z' }],
+      [
+        fill('b1', 'AAPL', 'buy', 10, 100, '2024-01-02T15:00:00Z'),
+        fill('s1', 'AAPL', 'sell', 10, 110, '2024-01-05T15:00:00Z'),
+      ]
+    );
+
+    expect(entries.map(e => [e.orderId, e.amount])).toEqual([['b1', -1000], ['s1', 1100]]);
+  });
+});
@@ -0,0 +1,254 @@
+// Order ticket helpers: turn the ticket form into an Alpaca order request and describe it
+// back in plain words for the confirmation step. Also fill progress and status timelines
+// for working orders.
+
+export const ORDER_TYPES = [
+  { id: 'market', label: 'Market' },
+  { id: 'limit', label: 'Limit' },
+  { id: 'stop', label: 'Stop' },
+  { id: 'stop_limit', label: 'Stop Limit' },
+  { id: 'trailing_stop', label: 'Trailing Stop' },
+];
+
+export const ORDER_CLASSES = [
+  { id: 'simple', label: 'Simple' },
+  { id: 'bracket', label: 'Bracket' },
+  { id: 'oco', label: 'OCO' },
+];
+
+export const TIME_IN_FORCE = [
+  { id: 'day', label: 'Day' },
+  { id: 'gtc', label: 'GTC' },
+  { id: 'opg', label: 'At the Open' },
+  { id: 'cls', label: 'At the Close' },
+  { id: 'ioc', label: 'IOC' },
+  { id: 'fok', label: 'FOK' },
+];
+
+export const EMPTY_ORDER_FORM = {
+  symbol: '',
+  side: 'buy',
+  qty: '',
+  type: 'market',
+  orderClass: 'simple',
+  timeInForce: 'day',
+  limitPrice: '',
+  stopPrice: '',
+  trailType: 'price',
+  trailValue: '',
+  takeProfitPrice: '',
+  stopLossPrice: '',
+  stopLossLimitPrice: '',
+  extendedHours: false,
+};
+
+export const needsLimitPrice = (type) => type === 'limit' || type === 'stop_limit';
+export const needsStopPrice = (type) => type === 'stop' || type === 'stop_limit';
+
+// Bracket entries may be market or limit; an OCO is always a limit take-profit paired with a stop
+export const getAllowedTypes = (orderClass) => {
+  if (orderClass === 'bracket') return ORDER_TYPES.filter(t => t.id === 'market' || t.id === 'limit');
+  if (orderClass === 'oco') return ORDER_TYPES.filter(t => t.id === 'limit');
+  return ORDER_TYPES;
+};
+
+const isPositive = (value) => value !== '' && parseFloat(value) > 0;
+
+// Returns an error message, or null when the form can be submitted
+export const validateOrderForm = (form) => {
+  if (!form.symbol.trim()) return 'Symbol is required';
+  if (!isPositive(form.qty)) return 'Quantity must be greater than zero';
+  if (!getAllowedTypes(form.orderClass).some(t => t.id === form.type)) {
+    return `${form.orderClass.toUpperCase()} orders cannot use a ${form.type.replace('_', ' ')} entry`;
+  }
+
+  if (form.orderClass === 'oco') {
+    if (!isPositive(form.takeProfitPrice)) return 'Take profit price is required';
+    if (!isPositive(form.stopLossPrice)) return 'Stop loss price is required';
+  } else {
+    if (needsLimitPrice(form.type) && !isPositive(form.limitPrice)) return 'Limit price is required';
+    if (needsStopPrice(form.type) && !isPositive(form.stopPrice)) return 'Stop price is required';
+    if (form.type === 'trailing_stop' && !isPositive(form.trailValue)) return 'Trail amount is required';
+  }
+
+  if (form.orderClass === 'bracket') {
+    if (!isPositive(form.takeProfitPrice)) return 'Take profit price is required';
+    if (!isPositive(form.stopLossPrice)) return 'Stop loss price is required';
+  }
+
+  if (form.orderClass !== 'simple' && form.timeInForce !== 'day' && form.timeInForce !== 'gtc') {
+    return 'Bracket and OCO orders must be Day or GTC';
+  }
+
+  // Alpaca only accepts extended hours on day limit orders
+  if (form.extendedHours && (form.type !== 'limit' || form.timeInForce !== 'day' || form.orderClass !== 'simple')) {
+    return 'Extended hours requires a simple Day limit order';
+  }
+
+  return null;
+};
+
+// Build the POST /v2/orders body. Prices and quantities are sent as strings like Alpaca returns them.
+export const buildOrderRequest = (form) => {
+  const order = {
+    symbol: form.symbol.trim().toUpperCase(),
+    side: form.side,
+    qty: String(form.qty),
+    type: form.type,
+    time_in_force: form.timeInForce,
+  };
+
+  if (form.orderClass === 'oco') {
+    order.order_class = 'oco';
+    order.take_profit = { limit_price: String(form.takeProfitPrice) };
+    order.stop_loss = { stop_price: String(form.stopLossPrice) };
+    if (form.stopLossLimitPrice) order.stop_loss.limit_price = String(form.stopLossLimitPrice);
+    return order;
+  }
+
+  if (needsLimitPrice(form.type)) order.limit_price = String(form.limitPrice);
+  if (needsStopPrice(form.type)) order.stop_price = String(form.stopPrice);
+  if (form.type === 'trailing_stop') {
+    if (form.trailType === 'percent') {
+      order.trail_percent = String(form.trailValue);
+    } else {
+      order.trail_price = String(form.trailValue);
+    }
+  }
+
+  if (form.orderClass === 'bracket') {
+    order.order_class = 'bracket';
+    order.take_profit = { limit_price: String(form.takeProfitPrice) };
+    order.stop_loss = { stop_price: String(form.stopLossPrice) };
+    if (form.stopLossLimitPrice) order.stop_loss.limit_price = String(form.stopLossLimitPrice);
+  }
+
+  if (form.extendedHours) order.extended_hours = true;
+
+  return order;
+};
+
+const typeLabel = (type) => ORDER_TYPES.find(t => t.id === type)?.label || type;
+const tifLabel = (tif) => TIME_IN_FORCE.find(t => t.id === tif)?.label || tif;
+
+// Short price description of an order, e.g. "limit $10.00" or "trail 2%"
+export const describeOrderPrice = (order) => {
+  switch (order.type) {
+    case 'limit':
+      return `limit $${order.limit_price}`;
+    case 'stop':
+      return `stop $${order.stop_price}`;
+    case 'stop_limit':
+      return `stop $${order.stop_price}, limit $${order.limit_price}`;
+    case 'trailing_stop':
+      return order.trail_percent ? `trail ${order.trail_percent}%` : `trail $${order.trail_price}`;
+    default:
+      return 'market';
+  }
+};
+
+// Lines for the confirmation dialog
+export const describeOrderRequest = (order) => {
+  const lines = [];
+  const side = order.side.toUpperCase();
+
+  if (order.order_class === 'oco') {
+    lines.push(`${side} ${order.qty} ${order.symbol} — one-cancels-other exit`);
+  } else {
+    lines.push(`${side} ${order.qty} ${order.symbol} — ${typeLabel(order.type)} (${describeOrderPrice(order)})`);
+  }
+
+  if (order.take_profit) lines.push(`Take profit: limit $${order.take_profit.limit_price}`);
+  if (order.stop_loss) {
+    lines.push(order.stop_loss.limit_price
+      ? `Stop loss: stop $${order.stop_loss.stop_price}, limit $${order.stop_loss.limit_price}`
+      : `Stop loss: stop $${order.stop_loss.stop_price}`);
+  }
+
+  lines.push(`Time in force: ${tifLabel(order.time_in_force)}${order.extended_hours ? ', extended hours' : ''}`);
+  return lines;
+};
+
+// PATCH /v2/orders/{id} body; only sends the fields that changed
+export const buildReplaceRequest = (order, changes) => {
+  const request = {};
+  if (changes.qty && changes.qty !== order.qty) request.qty = String(changes.qty);
+  if (changes.timeInForce && changes.timeInForce !== order.time_in_force) request.time_in_force = changes.timeInForce;
+  if (needsLimitPrice(order.type) && changes.limitPrice && changes.limitPrice !== order.limit_price) {
+    request.limit_price = String(changes.limitPrice);
+  }
+  if (needsStopPrice(order.type) && changes.stopPrice && changes.stopPrice !== order.stop_price) {
+    request.stop_price = String(changes.stopPrice);
+  }
+  if (order.type === 'trailing_stop' && changes.trail) {
+    const current = order.trail_percent ?? order.trail_price;
+    if (changes.trail !== current) request.trail = String(changes.trail);
+  }
+  return request;
+};
+
+// Filled vs total quantity for a working order; notional orders have no qty until filled
+export const getFillProgress = (order) => {
+  const filled = parseFloat(order.filled_qty || 0);
+  const total = order.qty ? parseFloat(order.qty) : null;
+  return { filled, total, percent: total ? (filled / total) * 100 : 0 };
+};
+
+const TIMESTAMP_EVENTS = [
+  { field: 'created_at', label: 'Created' },
+  { field: 'submitted_at', label: 'Submitted' },
+  { field: 'filled_at', label: 'Filled' },
+  { field: 'replaced_at', label: 'Replaced' },
+  { field: 'canceled_at', label: 'Canceled' },
+  { field: 'expired_at', label: 'Expired' },
+  { field: 'failed_at', label: 'Failed' },
+];
+
+const STREAM_EVENT_LABELS = {
+  new: 'Accepted',
+  partial_fill: 'Partial fill',
+  fill: 'Filled',
+  canceled: 'Canceled',
+  expired: 'Expired',
+  done_for_day: 'Done for day',
+  replaced: 'Replaced',
+  rejected: 'Rejected',
+  pending_new: 'Pending',
+  pending_cancel: 'Pending cancel',
+  pending_replace: 'Pending replace',
+  stopped: 'Stopped',
+  suspended: 'Suspended',
+};
+
+// Status changes for an order, oldest first. The REST order only carries the latest timestamp
+// per state, so events seen on the trade_updates stream fill in the partial fills.
+// events: [{ event, timestamp, qty, price }] from the stream
+export const getOrderTimeline = (order, events = []) => {
+  const timeline = TIMESTAMP_EVENTS
+    .filter(({ field }) => order[field])
+    .map(({ field, label }) => ({ label, time: order[field] }));
+
+  if (order.status === 'partially_filled' && !events.some(e => e.event === 'partial_fill')) {
+    timeline.push({
+      label: 'Partial fill',
+      time: order.updated_at,
+      detail: `${order.filled_qty} @ $${order.filled_avg_price}`,
+    });
+  }
+
+  events.forEach(e => {
+    const label = STREAM_EVENT_LABELS[e.event] || e.event;
+    const detail = e.qty && e.price ? `${e.qty} @ $${e.price}` : undefined;
+    const duplicate = timeline.find(t => t.label === label && Math.abs(new Date(t.time) - new Date(e.timestamp)) < 1000);
+    if (duplicate) {
+      if (detail) duplicate.detail = detail;
+      return;
+    }
+    timeline.push({ label, time: e.timestamp, detail });
+  });
+
+  // Submitted usually lands in the same instant as Created
+  return timeline
+    .filter((t, i, list) => !(t.label === 'Submitted' && list.some(o => o.label === 'Created' && o.time === t.time)))
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+};
@@ -0,0 +1,66 @@
+// Daily realized P/L laid out as GitHub-style calendar years: one column per week (Sunday
+// first), one row per weekday. Days are local dates, the same as the daily P/L chart.
+import { format, parseISO, eachDayOfInterval, startOfWeek, endOfWeek } from 'date-fns';
+
+export const CALENDAR_LEVELS = 4;
+
+// '2024-03-15T14:30:00Z' -> '2024-03-15' in the browser's time zone
+export const getDayKey = (value) => format(parseISO(value), 'yyyy-MM-dd');
+
+// Shades are scaled to the 90th percentile day so one outlier doesn't wash out the rest
+export const getPLScale = (days) => {
+  const sizes = days.map(d => Math.abs(d.pl)).filter(size => size > 0).sort((a, b) => a - b);
+  if (sizes.length === 0) return 0;
+  return sizes[Math.min(sizes.length - 1, Math.floor(sizes.length * 0.9))];
+};
+
+// 0 for a flat day, otherwise 1 to CALENDAR_LEVELS by size
+export const getPLLevel = (pl, scale) => {
+  if (!pl || !scale) return 0;
+  return Math.max(1, Math.ceil(Math.min(Math.abs(pl) / scale, 1) * CALENDAR_LEVELS));
+};
+
+// Newest year first: { year, weeks: [[cell | null] x 7], months: [{ label, week }], totalPL, tradingDays }.
+// Days outside the year are null; days before the first or after the last close have pl: null.
+export const buildCalendarYears = (dailyPL) => {
+  if (dailyPL.length === 0) return [];
+
+  const byDay = new Map(dailyPL.map(d => [d.day, d]));
+  const firstYear = parseISO(dailyPL[0].day).getFullYear();
+  const lastYear = parseISO(dailyPL[dailyPL.length - 1].day).getFullYear();
+  const years = [];
+
+  for (let year = lastYear; year >= firstYear; year -= 1) {
+    const weeks = [];
+    const months = [];
+    const days = eachDayOfInterval({
+      start: startOfWeek(new Date(year, 0, 1)),
+      end: endOfWeek(new Date(year, 11, 31)),
+    });
+
+    days.forEach((date, idx) => {
+      const week = Math.floor(idx / 7);
+      if (!weeks[week]) weeks[week] = [];
+      if (date.getFullYear() !== year) {
+        weeks[week].push(null);
+        return;
+      }
+      if (date.getDate() === 1) months.push({ label: format(date, 'MMM'), week });
+
+      const day = format(date, 'yyyy-MM-dd');
+      const entry = byDay.get(day);
+      weeks[week].push({ day, date, pl: entry ? entry.pl : null, trades: entry ? entry.trades : 0 });
+    });
+
+    const traded = weeks.flat().filter(cell => cell && cell.trades > 0);
+    years.push({
+      year,
+      weeks,
+      months,
+      totalPL: traded.reduce((sum, cell) => sum + cell.pl, 0),
+      tradingDays: traded.length,
+    });
+  }
+
+  return years;
+};
@@ -0,0 +1,130 @@
+// Deposit/withdrawal-adjusted returns from an equity series plus external cash flows.
+// points: [{ timestamp (ms), equity }], flows: [{ date, amount }] with deposits positive.
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Shortest period MWR is annualized over; below this the annualized figure is meaningless
+const MIN_ANNUALIZE_MS = 24 * 60 * 60 * 1000;
+
+// Sum the flows that land in each interval (previous point, this point] by timestamp, so
+// intraday series pick up same-day flows too. A bare 'yyyy-MM-dd' date counts from midnight
+// UTC: on a daily series that is the interval ending on that day's point, on an intraday
+// series the overnight gap before that day's first point.
+// Flows at or before the first point are already part of the starting equity.
+const assignFlows = (points, flows) => {
+  const perPoint = points.map(() => 0);
+
+  flows.forEach(flow => {
+    const time = new Date(flow.date).getTime();
+    for (let i = 1; i < points.length; i++) {
+      if (time > points[i - 1].timestamp && time <= points[i].timestamp) {
+        perPoint[i] += flow.amount;
+        break;
+      }
+    }
+  });
+
+  return perPoint;
+};
+
+// Flow-adjusted return of each interval, treating a flow as arriving at the end of its
+// interval so it never counts as gain. Intervals starting from zero equity are skipped.
+export const calculatePeriodReturns = (points = [], flows = []) => {
+  const perPoint = assignFlows(points, flows);
+  const returns = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1].equity;
+    if (!(start > 0)) continue;
+    returns.push({
+      timestamp: points[i].timestamp,
+      value: (points[i].equity - perPoint[i]) / start - 1,
+    });
+  }
+
+  return returns;
+};
+
+// Time-weighted return: chain the flow-adjusted sub-period returns
+export const calculateTWR = (points = [], flows = []) => {
+  if (points.length < 2) return null;
+
+  const growth = calculatePeriodReturns(points, flows).reduce((acc, r) => acc * (1 + r.value), 1);
+  return (growth - 1) * 100;
+};
+
+const hasBothSigns = (cashflows) =>
+  cashflows.some(cf => cf.amount > 0) && cashflows.some(cf => cf.amount < 0);
+
+// Rate per `unit` ms at which the cash flows' present value is zero, as a fraction.
+// Uses bisection, which always converges once the root is bracketed; null when it can't be.
+const solveRate = (cashflows, unit) => {
+  const t0 = Math.min(...cashflows.map(cf => cf.time));
+  const npv = (rate) => cashflows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, (cf.time - t0) / unit), 0);
+
+  let low = -0.9999;
+  let high = 10;
+
+  while (npv(high) > 0 && high < 1e6) high *= 2;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-7) return mid;
+    if (npv(low) * value < 0) high = mid;
+    else low = mid;
+  }
+
+  return (low + high) / 2;
+};
+
+// Annualized internal rate of return for irregular cash flows ({ time (ms), amount })
+export const calculateXIRR = (cashflows = []) => {
+  if (cashflows.length < 2 || !hasBothSigns(cashflows)) return null;
+
+  const rate = solveRate(cashflows, YEAR_MS);
+  return rate === null ? null : rate * 100;
+};
+
+// Money-weighted return over the series: the rate for the period itself, solved over the
+// period's own length so intraday series work, and annualized when the period is a day or more.
+// Whatever can't be computed is null, with `reason` saying why.
+export const calculateMWR = (points = [], flows = []) => {
+  const start = points.find(p => p.equity > 0);
+  if (!start || points.length < 2) {
+    return { annualized: null, period: null, reason: 'No starting equity in this period' };
+  }
+
+  const end = points[points.length - 1];
+  const span = end.timestamp - start.timestamp;
+  if (!(span > 0)) return { annualized: null, period: null, reason: 'Not enough data in this period' };
+
+  const perPoint = assignFlows(points, flows);
+
+  // Investor perspective: money put in is negative, money (or equity) taken out is positive
+  const cashflows = [{ time: start.timestamp, amount: -start.equity }];
+  points.forEach((point, idx) => {
+    if (point.timestamp > start.timestamp && perPoint[idx] !== 0) {
+      cashflows.push({ time: point.timestamp, amount: -perPoint[idx] });
+    }
+  });
+  cashflows.push({ time: end.timestamp, amount: end.equity });
+
+  const rate = hasBothSigns(cashflows) ? solveRate(cashflows, span) : null;
+  if (rate === null) {
+    return { annualized: null, period: null, reason: 'No single rate of return fits these cash flows' };
+  }
+
+  const period = rate * 100;
+  if (span < MIN_ANNUALIZE_MS) {
+    return { annualized: null, period, reason: 'Period too short to annualize' };
+  }
+
+  const annualized = (Math.pow(1 + rate, YEAR_MS / span) - 1) * 100;
+  if (!Number.isFinite(annualized)) {
+    return { annualized: null, period, reason: 'Annualized rate is out of range' };
+  }
+
+  return { annualized, period, reason: null };
+};
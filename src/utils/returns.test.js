@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePeriodReturns, calculateTWR, calculateXIRR, calculateMWR } from './returns';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const at = (iso) => new Date(iso).getTime();
+
+describe('calculateTWR', () => {
+  it('takes a bare-date flow out of the daily interval ending on that day', () => {
+    const points = [
+      { timestamp: at('2024-01-04T05:00:00Z'), equity: 1000 },
+      { timestamp: at('2024-01-05T05:00:00Z'), equity: 1100 },
+      { timestamp: at('2024-01-08T05:00:00Z'), equity: 1210 },
+    ];
+
+    expect(calculatePeriodReturns(points, [{ date: '2024-01-05', amount: 100 }]).map(r => r.value))
+      .toEqual([0, expect.closeTo(0.1)]);
+  });
+
+  it('assigns a same-day flow to the intraday interval containing its timestamp', () => {
+    const points = [
+      { timestamp: at('2024-01-05T14:30:00Z'), equity: 1000 },
+      { timestamp: at('2024-01-05T15:00:00Z'), equity: 1000 },
+      { timestamp: at('2024-01-05T15:30:00Z'), equity: 1500 },
+      { timestamp: at('2024-01-05T16:00:00Z'), equity: 1500 },
+    ];
+
+    expect(calculateTWR(points, [{ date: '2024-01-05T15:10:00Z', amount: 500 }])).toBeCloseTo(0);
+  });
+
+  it('treats a bare-date flow on an intraday series as part of the starting equity', () => {
+    const points = [
+      { timestamp: at('2024-01-05T14:30:00Z'), equity: 1500 },
+      { timestamp: at('2024-01-05T15:00:00Z'), equity: 1515 },
+    ];
+
+    expect(calculateTWR(points, [{ date: '2024-01-05', amount: 500 }])).toBeCloseTo(1);
+  });
+});
+
+describe('calculateXIRR', () => {
+  it('annualizes irregular cash flows', () => {
+    expect(calculateXIRR([
+      { time: 0, amount: -1000 },
+      { time: 365 * DAY_MS, amount: 1100 },
+    ])).toBeCloseTo(10);
+  });
+
+  it('returns null without both inflows and outflows', () => {
+    expect(calculateXIRR([{ time: 0, amount: -1000 }, { time: DAY_MS, amount: -5 }])).toBeNull();
+  });
+});
+
+describe('calculateMWR', () => {
+  it('returns the period rate for an intraday series and says why it is not annualized', () => {
+    const result = calculateMWR([
+      { timestamp: at('2024-01-05T14:30:00Z'), equity: 1000 },
+      { timestamp: at('2024-01-05T20:30:00Z'), equity: 1010 },
+    ]);
+
+    expect(result.period).toBeCloseTo(1);
+    expect(result.annualized).toBeNull();
+    expect(result.reason).toBe('Period too short to annualize');
+  });
+
+  it('annualizes periods of a day or more', () => {
+    const result = calculateMWR([
+      { timestamp: 0, equity: 1000 },
+      { timestamp: 365 * DAY_MS, equity: 1100 },
+    ]);
+
+    expect(result).toMatchObject({ reason: null });
+    expect(result.period).toBeCloseTo(10);
+    expect(result.annualized).toBeCloseTo(10);
+  });
+
+  it('weights a mid-period deposit by how long it was invested', () => {
+    const result = calculateMWR([
+      { timestamp: at('2024-01-01T05:00:00Z'), equity: 1000 },
+      { timestamp: at('2024-07-01T05:00:00Z'), equity: 2000 },
+      { timestamp: at('2024-12-31T05:00:00Z'), equity: 2100 },
+    ], [{ date: '2024-07-01', amount: 1000 }]);
+
+    // 100 gained on 1000 for the whole period and 1000 more for half of it
+    expect(result.period).toBeGreaterThan(6);
+    expect(result.period).toBeLessThan(7);
+  });
+
+  it('explains a missing result instead of returning a bare null', () => {
+    expect(calculateMWR([{ timestamp: 0, equity: 0 }, { timestamp: DAY_MS, equity: 0 }]))
+      .toEqual({ annualized: null, period: null, reason: 'No starting equity in this period' });
+  });
+});
@@ -0,0 +1,104 @@
+// Risk statistics from a daily equity series ([{ timestamp (ms), equity }]).
+// Returns are flow-adjusted, so deposits and withdrawals never look like gains or drawdowns.
+import { calculatePeriodReturns } from './returns';
+import { TRADING_DAYS, mean, stdDev } from './stats';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Growth of $1 through the flow-adjusted returns, starting at the first point
+export const buildReturnIndex = (points = [], flows = []) => {
+  if (points.length === 0) return [];
+
+  const returns = calculatePeriodReturns(points, flows);
+  const firstTimestamp = returns.length > 0 ? returns[0].timestamp : points[0].timestamp;
+  const startPoint = [...points].reverse().find(p => p.timestamp < firstTimestamp) || points[0];
+
+  let value = 1;
+  return [
+    { timestamp: startPoint.timestamp, value },
+    ...returns.map(r => {
+      value *= 1 + r.value;
+      return { timestamp: r.timestamp, value };
+    }),
+  ];
+};
+
+// Percent below the running peak at every point of the index
+export const calculateDrawdownSeries = (index = []) => {
+  let peak = -Infinity;
+  return index.map(point => {
+    peak = Math.max(peak, point.value);
+    return {
+      timestamp: point.timestamp,
+      drawdown: peak > 0 ? ((point.value - peak) / peak) * 100 : 0,
+    };
+  });
+};
+
+// Every peak-to-recovery episode, deepest first. recoveryDate is null while still underwater.
+export const findDrawdowns = (index = []) => {
+  const episodes = [];
+  let peak = null;
+  let current = null;
+
+  index.forEach(point => {
+    if (!peak || point.value >= peak.value) {
+      if (current) {
+        current.recoveryDate = point.timestamp;
+        episodes.push(current);
+        current = null;
+      }
+      peak = point;
+      return;
+    }
+
+    const depth = ((point.value - peak.value) / peak.value) * 100;
+    if (!current) {
+      current = { peakDate: peak.timestamp, troughDate: point.timestamp, recoveryDate: null, depth };
+    } else if (depth < current.depth) {
+      current.troughDate = point.timestamp;
+      current.depth = depth;
+    }
+  });
+
+  if (current) episodes.push(current);
+
+  return episodes
+    .map(episode => ({
+      ...episode,
+      durationDays: Math.round((episode.troughDate - episode.peakDate) / DAY_MS),
+      recoveryDays: episode.recoveryDate
+        ? Math.round((episode.recoveryDate - episode.troughDate) / DAY_MS)
+        : null,
+    }))
+    .sort((a, b) => a.depth - b.depth);
+};
+
+// riskFreeRate is an annual percentage, e.g. 4 for 4%
+export const calculateRiskMetrics = (points = [], flows = [], riskFreeRate = 0) => {
+  const returns = calculatePeriodReturns(points, flows).map(r => r.value);
+  if (returns.length < 2) return null;
+
+  const dailyRiskFree = riskFreeRate / 100 / TRADING_DAYS;
+  const excess = returns.map(r => r - dailyRiskFree);
+  const volatility = stdDev(returns);
+  const downsideDeviation = Math.sqrt(mean(excess.map(r => Math.min(r, 0) ** 2)));
+
+  const index = buildReturnIndex(points, flows);
+  const totalReturn = index[index.length - 1].value - 1;
+  const years = (index[index.length - 1].timestamp - index[0].timestamp) / (365 * DAY_MS);
+  const cagr = years > 0 ? Math.pow(1 + totalReturn, 1 / years) - 1 : 0;
+
+  const drawdowns = findDrawdowns(index);
+  const maxDrawdown = drawdowns[0] || null;
+
+  return {
+    totalReturn: totalReturn * 100,
+    cagr: cagr * 100,
+    volatility: volatility * Math.sqrt(TRADING_DAYS) * 100,
+    sharpe: volatility > 0 ? (mean(excess) / volatility) * Math.sqrt(TRADING_DAYS) : null,
+    sortino: downsideDeviation > 0 ? (mean(excess) / downsideDeviation) * Math.sqrt(TRADING_DAYS) : null,
+    maxDrawdown,
+    calmar: maxDrawdown && maxDrawdown.depth < 0 ? (cagr * 100) / Math.abs(maxDrawdown.depth) : null,
+  };
+};
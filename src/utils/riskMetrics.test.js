@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRiskMetrics, findDrawdowns, buildReturnIndex } from './riskMetrics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2024-01-02T05:00:00Z').getTime();
+
+// One point per day from START
+const daily = (equities) => equities.map((equity, i) => ({ timestamp: START + i * DAY_MS, equity }));
+
+// Daily returns of +2%, -1%, +2%: mean 1%, sample standard deviation sqrt(0.0003) = 1.7321%,
+// downside deviation sqrt(0.0001 / 3) = 0.57735%
+const SERIES = daily([100, 102, 100.98, 102.9996]);
+
+describe('calculateRiskMetrics', () => {
+  it('annualizes volatility, Sharpe and Sortino over 252 trading days', () => {
+    const metrics = calculateRiskMetrics(SERIES);
+
+    // 0.017321 * sqrt(252) = 0.274955
+    expect(metrics.volatility).toBeCloseTo(27.4955, 3);
+    // 0.01 / 0.017321 * sqrt(252)
+    expect(metrics.sharpe).toBeCloseTo(9.1652, 3);
+    // 0.01 / 0.0057735 * sqrt(252)
+    expect(metrics.sortino).toBeCloseTo(27.4955, 3);
+  });
+
+  it('subtracts the daily risk-free rate from each return', () => {
+    // 2.52% a year is 0.01% a day: excess mean 0.99%
+    const metrics = calculateRiskMetrics(SERIES, [], 2.52);
+
+    expect(metrics.sharpe).toBeCloseTo(9.0735, 3);
+    // Only the -1.01% excess return is downside: sqrt(0.0101^2 / 3) = 0.58312%
+    expect(metrics.sortino).toBeCloseTo(26.9510, 3);
+  });
+
+  it('ignores deposits when measuring returns', () => {
+    // The same returns, with a 102.9996 deposit landing in the last interval
+    const points = daily([100, 102, 100.98, 205.9992]);
+    const metrics = calculateRiskMetrics(points, [{ date: new Date(points[3].timestamp).toISOString(), amount: 102.9996 }]);
+
+    expect(metrics.sharpe).toBeCloseTo(9.1652, 3);
+  });
+
+  it('reports the max drawdown and a Calmar ratio of CAGR over its depth', () => {
+    // Down 20% after 100 days, then up 50% by the end of the year: 20% CAGR, 20% max drawdown
+    const points = [
+      { timestamp: START, equity: 100 },
+      { timestamp: START + 100 * DAY_MS, equity: 80 },
+      { timestamp: START + 365 * DAY_MS, equity: 120 },
+    ];
+    const metrics = calculateRiskMetrics(points);
+
+    expect(metrics.totalReturn).toBeCloseTo(20);
+    expect(metrics.cagr).toBeCloseTo(20);
+    expect(metrics.maxDrawdown).toMatchObject({
+      peakDate: START,
+      troughDate: START + 100 * DAY_MS,
+      recoveryDate: START + 365 * DAY_MS,
+      durationDays: 100,
+      recoveryDays: 265,
+    });
+    expect(metrics.maxDrawdown.depth).toBeCloseTo(-20);
+    expect(metrics.calmar).toBeCloseTo(1);
+  });
+
+  it('needs at least two returns', () => {
+    expect(calculateRiskMetrics(daily([100, 101]))).toBeNull();
+  });
+});
+
+describe('findDrawdowns', () => {
+  it('lists every episode deepest first, leaving an unrecovered one open', () => {
+    const index = [1, 1.2, 0.9, 1.0, 1.3, 1.17].map((value, i) => ({ timestamp: START + i * DAY_MS, value }));
+    const [deepest, latest] = findDrawdowns(index);
+
+    // 1.2 -> 0.9 is -25%, recovered when the index passes 1.2 again
+    expect(deepest.depth).toBeCloseTo(-25);
+    expect(deepest).toMatchObject({ peakDate: START + DAY_MS, troughDate: START + 2 * DAY_MS, recoveryDate: START + 4 * DAY_MS });
+    // 1.3 -> 1.17 is -10% and still underwater
+    expect(latest.depth).toBeCloseTo(-10);
+    expect(latest).toMatchObject({ peakDate: START + 4 * DAY_MS, recoveryDate: null, recoveryDays: null });
+  });
+});
+
+describe('buildReturnIndex', () => {
+  it('compounds the returns from 1', () => {
+    expect(buildReturnIndex(SERIES).map(point => point.value))
+      .toEqual([1, expect.closeTo(1.02), expect.closeTo(1.0098), expect.closeTo(1.029996)]);
+  });
+});
@@ -0,0 +1,13 @@
+// Shared sample statistics for the return-based metrics (risk and benchmark).
+
+// Trading days per year, used to annualize daily returns
+export const TRADING_DAYS = 252;
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Sample standard deviation (n - 1)
+export const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
@@ -0,0 +1,69 @@
+// Form 8949 / Schedule D style view of realized round trips.
+// Gains are reported in the year the position is closed; short sales are always short-term
+// and, like most broker 1099-Bs, use the cover date as both acquired and sold date.
+import { addYears, format, isAfter, parseISO, startOfDay } from 'date-fns';
+
+// Date for Form 8949 column (b), and the start of the holding period for longs. Wash-sale
+// replacement shares use their extended holding period, as brokers report it on the 1099-B.
+export const getAcquiredDate = (rt) => {
+  if (rt.direction === 'short') return rt.exitDate;
+  return rt.holdingPeriodStart ?? rt.entryDate;
+};
+
+export const getHoldingTerm = (rt) => {
+  if (rt.direction === 'short') return 'short';
+  const acquired = startOfDay(parseISO(getAcquiredDate(rt)));
+  const sold = startOfDay(parseISO(rt.exitDate));
+  // Long-term means held more than one year: sold after the one-year anniversary
+  return isAfter(sold, addYears(acquired, 1)) ? 'long' : 'short';
+};
+
+const formatQty = (qty) => (qty % 1 === 0 ? String(qty) : qty.toFixed(4).replace(/0+$/, ''));
+
+export const buildTaxLots = (roundTrips = []) =>
+  roundTrips.map(rt => ({
+    id: rt.id,
+    year: parseISO(rt.exitDate).getFullYear(),
+    term: getHoldingTerm(rt),
+    symbol: rt.symbol,
+    description: `${formatQty(rt.qty)} sh ${rt.symbol}${rt.direction === 'short' ? ' (short sale)' : ''}`,
+    dateAcquired: getAcquiredDate(rt),
+    dateSold: rt.exitDate,
+    proceeds: rt.revenue,
+    costBasis: rt.cost,
+    adjustmentCode: rt.washSale ? 'W' : '',
+    adjustment: rt.disallowedLoss || 0,
+    gain: rt.pl,
+  }));
+
+export const getTaxYears = (lots = []) => [...new Set(lots.map(lot => lot.year))].sort((a, b) => b - a);
+
+const emptyTotals = () => ({ proceeds: 0, costBasis: 0, adjustment: 0, gain: 0, count: 0 });
+
+// Schedule D style totals for one tax year, split by holding term
+export const summarizeTaxYear = (lots = []) =>
+  lots.reduce((totals, lot) => {
+    const bucket = totals[lot.term];
+    bucket.proceeds += lot.proceeds;
+    bucket.costBasis += lot.costBasis;
+    bucket.adjustment += lot.adjustment;
+    bucket.gain += lot.gain;
+    bucket.count += 1;
+    return totals;
+  }, { short: emptyTotals(), long: emptyTotals() });
+
+const formatTaxDate = (value) => (value ? format(parseISO(value), 'MM/dd/yyyy') : '');
+const formatAmount = (value) => value.toFixed(2);
+
+// Columns follow Form 8949 boxes (a) through (h)
+export const FORM_8949_COLUMNS = [
+  { header: 'Term', value: lot => (lot.term === 'long' ? 'Long-term' : 'Short-term') },
+  { header: '(a) Description of property', value: lot => lot.description },
+  { header: '(b) Date acquired', value: lot => formatTaxDate(lot.dateAcquired) },
+  { header: '(c) Date sold or disposed of', value: lot => formatTaxDate(lot.dateSold) },
+  { header: '(d) Proceeds', value: lot => formatAmount(lot.proceeds) },
+  { header: '(e) Cost or other basis', value: lot => formatAmount(lot.costBasis) },
+  { header: '(f) Code', value: lot => lot.adjustmentCode },
+  { header: '(g) Amount of adjustment', value: lot => (lot.adjustment ? formatAmount(lot.adjustment) : '') },
+  { header: '(h) Gain or (loss)', value: lot => formatAmount(lot.gain) },
+];
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { buildTaxLots, getHoldingTerm, summarizeTaxYear, FORM_8949_COLUMNS } from './taxReport';
+import { matchRoundTrips } from './tradeMatching';
+import { fill, SHORTS } from './__fixtures__/orders';
+
+const column = (header) => FORM_8949_COLUMNS.find(col => col.header.startsWith(header));
+
+describe('getHoldingTerm', () => {
+  const held = (entryDate, exitDate) => getHoldingTerm({ direction: 'long', entryDate, exitDate });
+
+  it('is long-term only when sold after the one-year anniversary', () => {
+    expect(held('2023-03-15T15:00:00Z', '2024-03-15T15:00:00Z')).toBe('short');
+    expect(held('2023-03-15T15:00:00Z', '2024-03-18T15:00:00Z')).toBe('long');
+  });
+
+  it('is always short-term for short sales', () => {
+    expect(getHoldingTerm({ direction: 'short', entryDate: '2020-01-02T15:00:00Z', exitDate: '2024-01-02T15:00:00Z' })).toBe('short');
+  });
+});
+
+describe('buildTaxLots', () => {
+  it('reports the purchase date as acquired for longs', () => {
+    const [lot] = buildTaxLots(matchRoundTrips([
+      fill('b1', 'AAPL', 'buy', 10, 100, '2022-06-01T15:00:00Z'),
+      fill('s1', 'AAPL', 'sell', 10, 150, '2024-02-01T15:00:00Z'),
+    ]).roundTrips);
+
+    expect(lot).toMatchObject({ term: 'long', year: 2024, proceeds: 1500, costBasis: 1000, gain: 500 });
+    expect(column('(b)').value(lot)).toBe('06/01/2022');
+    expect(column('(c)').value(lot)).toBe('02/01/2024');
+  });
+
+  it('uses the cover date as both acquired and sold date for short sales', () => {
+    const lots = buildTaxLots(matchRoundTrips(SHORTS).roundTrips);
+
+    lots.forEach(lot => {
+      expect(lot.term).toBe('short');
+      expect(lot.dateAcquired).toBe(lot.dateSold);
+    });
+    expect(lots.map(lot => column('(b)').value(lot))).toEqual(['02/05/2024', '02/07/2024']);
+  });
+
+  it('totals each holding term for Schedule D', () => {
+    const lots = buildTaxLots(matchRoundTrips([
+      ...SHORTS,
+      fill('b1', 'AAPL', 'buy', 10, 100, '2022-06-01T15:00:00Z'),
+      fill('s1', 'AAPL', 'sell', 10, 150, '2024-02-01T15:00:00Z'),
+    ]).roundTrips);
+
+    expect(summarizeTaxYear(lots)).toMatchObject({
+      short: { count: 2, gain: 400 },
+      long: { count: 1, gain: 500 },
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// Round trip results grouped by holding period, weekday and hour of entry, and exit month.
+// Weekdays and hours are in US market time (New York), wherever the browser is.
+import { summarizeTrades } from './tradeMatching';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds are whole days held, inclusive: a week counts as '1–4 weeks', not '1–6 days'
+export const HOLDING_BUCKETS = [
+  { id: 'intraday', label: 'Intraday', maxDays: 0 },
+  { id: 'days', label: '1–6 days', maxDays: 6 },
+  { id: 'weeks', label: '1–4 weeks', maxDays: 28 },
+  { id: 'months', label: '1–3 months', maxDays: 91 },
+  { id: 'long', label: '3+ months', maxDays: Infinity },
+];
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+
+const marketTimeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  hourCycle: 'h23',
+});
+
+// { date: 'yyyy-MM-dd', weekday: 'Mon', hour: 0-23 } in New York time
+export const toMarketTime = (value) => {
+  const parts = Object.fromEntries(
+    marketTimeFormat.formatToParts(new Date(value)).map(part => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    hour: parseInt(parts.hour, 10),
+  };
+};
+
+// Closed on the trading day it was opened counts as intraday; otherwise whole days held
+export const getHoldingBucket = (roundTrip) => {
+  const entry = toMarketTime(roundTrip.entryDate);
+  const exit = toMarketTime(roundTrip.exitDate);
+  if (entry.date === exit.date) return HOLDING_BUCKETS[0];
+
+  const days = Math.max(1, Math.round((new Date(roundTrip.exitDate) - new Date(roundTrip.entryDate)) / DAY_MS));
+  return HOLDING_BUCKETS.find(bucket => days <= bucket.maxDays && bucket.maxDays > 0);
+};
+
+const groupBy = (roundTrips, getKey) => {
+  const groups = new Map();
+  roundTrips.forEach(rt => {
+    const key = getKey(rt);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rt);
+  });
+  return groups;
+};
+
+// Each breakdown lists every bucket in order, with trades: 0 where nothing traded
+const summarizeBuckets = (groups, buckets) =>
+  buckets.map(({ key, label }) => ({ key, label, ...summarizeTrades(groups.get(key) || []) }));
+
+export const breakdownByHoldingPeriod = (roundTrips) => summarizeBuckets(
+  groupBy(roundTrips, rt => getHoldingBucket(rt).id),
+  HOLDING_BUCKETS.map(bucket => ({ key: bucket.id, label: bucket.label }))
+);
+
+// Weekend entries (crypto) are left out so the chart stays on trading days
+export const breakdownByWeekday = (roundTrips) => summarizeBuckets(
+  groupBy(roundTrips, rt => toMarketTime(rt.entryDate).weekday),
+  WEEKDAYS.map(day => ({ key: day, label: day }))
+);
+
+const formatHour = (hour) => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+
+// Only hours that saw an entry, so extended-hours trading shows up when it happens
+export const breakdownByEntryHour = (roundTrips) => {
+  const groups = groupBy(roundTrips, rt => toMarketTime(rt.entryDate).hour);
+  const hours = Array.from(groups.keys()).sort((a, b) => a - b);
+  return summarizeBuckets(groups, hours.map(hour => ({ key: hour, label: formatHour(hour) })));
+};
+
+// By the month a trade was closed, oldest first, with empty months filled in
+export const breakdownByMonth = (roundTrips) => {
+  const groups = groupBy(roundTrips, rt => toMarketTime(rt.exitDate).date.slice(0, 7));
+  const months = Array.from(groups.keys()).sort();
+  if (months.length === 0) return [];
+
+  const buckets = [];
+  let [year, month] = months[0].split('-').map(Number);
+  const last = months[months.length - 1];
+  while (true) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    buckets.push({
+      key,
+      label: new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+    });
+    if (key === last) break;
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return summarizeBuckets(groups, buckets);
+};
+
+// Weekday × hour-of-entry grid for the heatmap: { hours, rows: [{ weekday, cells: [stats | null] }] }
+export const buildWeekdayHourGrid = (roundTrips) => {
+  const hours = breakdownByEntryHour(roundTrips).map(bucket => bucket.key);
+  const groups = groupBy(roundTrips, rt => {
+    const time = toMarketTime(rt.entryDate);
+    return `${time.weekday}-${time.hour}`;
+  });
+
+  return {
+    hours: hours.map(hour => ({ hour, label: formatHour(hour) })),
+    rows: WEEKDAYS.map(weekday => ({
+      weekday,
+      cells: hours.map(hour => {
+        const trips = groups.get(`${weekday}-${hour}`);
+        return trips ? summarizeTrades(trips) : null;
+      }),
+    })),
+  };
+};
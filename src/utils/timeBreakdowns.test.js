@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { getHoldingBucket, HOLDING_BUCKETS } from './timeBreakdowns';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entered Monday 2024-06-03 at 10:00 New York time, closed `days` later at the same time of day
+const heldFor = (days) => {
+  const entry = new Date('2024-06-03T14:00:00Z');
+  return getHoldingBucket({ entryDate: entry.toISOString(), exitDate: new Date(entry.getTime() + days * DAY_MS).toISOString() }).label;
+};
+
+describe('getHoldingBucket', () => {
+  it('counts a round trip closed on its opening trading day as intraday', () => {
+    expect(getHoldingBucket({ entryDate: '2024-06-03T14:00:00Z', exitDate: '2024-06-03T19:30:00Z' }).id).toBe('intraday');
+  });
+
+  it('counts an overnight hold as days, not intraday', () => {
+    expect(getHoldingBucket({ entryDate: '2024-06-03T19:30:00Z', exitDate: '2024-06-04T14:00:00Z' }).id).toBe('days');
+  });
+
+  it('puts each hold in the bucket its label names', () => {
+    expect(heldFor(1)).toBe('1–6 days');
+    expect(heldFor(6)).toBe('1–6 days');
+    expect(heldFor(7)).toBe('1–4 weeks');
+    expect(heldFor(28)).toBe('1–4 weeks');
+    expect(heldFor(29)).toBe('1–3 months');
+    expect(heldFor(91)).toBe('1–3 months');
+    expect(heldFor(92)).toBe('3+ months');
+  });
+
+  it('lists the buckets shortest first', () => {
+    const bounds = HOLDING_BUCKETS.map(bucket => bucket.maxDays);
+    expect(bounds).toEqual([...bounds].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,218 @@
+// Pure lot-matching engine shared by every view that reports realized P/L.
+// Takes raw Alpaca orders and returns round trips in a single schema.
+import { applyWashSales } from './washSales';
+
+const byFilledAt = (a, b) => new Date(a.filled_at) - new Date(b.filled_at);
+
+// Quantities below this are treated as fully consumed (float dust from fractional shares)
+const QTY_EPSILON = 1e-9;
+
+// Anything that traded, including orders canceled or expired after a partial fill
+export const getFilledOrders = (orders = []) =>
+  orders.filter(order => parseFloat(order.filled_qty) > 0);
+
+export const groupOrdersBySymbol = (orders = []) => {
+  const ordersBySymbol = {};
+  orders.forEach(order => {
+    if (!ordersBySymbol[order.symbol]) {
+      ordersBySymbol[order.symbol] = [];
+    }
+    ordersBySymbol[order.symbol].push(order);
+  });
+  return ordersBySymbol;
+};
+
+// A sell opens a short lot and a buy covers it; buys open long lots that sells close.
+// Each round trip keeps literal buy/sell fields plus entry/exit fields in chronological order.
+const createRoundTrip = ({ symbol, lot, order, qty, price }) => {
+  const isLong = lot.direction === 'long';
+  const buyPrice = isLong ? lot.price : price;
+  const sellPrice = isLong ? price : lot.price;
+  const cost = buyPrice * qty;
+  const revenue = sellPrice * qty;
+  const pl = revenue - cost;
+  const entryValue = lot.price * qty;
+
+  return {
+    id: `${lot.orderId}-${order.id}`,
+    symbol,
+    direction: lot.direction,
+    qty,
+    buyPrice,
+    sellPrice,
+    entryPrice: lot.price,
+    exitPrice: price,
+    cost,
+    revenue,
+    pl,
+    plPercent: entryValue > 0 ? (pl / entryValue) * 100 : 0,
+    buyDate: isLong ? lot.date : order.filled_at,
+    sellDate: isLong ? order.filled_at : lot.date,
+    entryDate: lot.date,
+    exitDate: order.filled_at,
+    buyOrderId: isLong ? lot.orderId : order.id,
+    sellOrderId: isLong ? order.id : lot.orderId,
+    entryOrderId: lot.orderId,
+    exitOrderId: order.id,
+  };
+};
+
+export const LOT_METHODS = [
+  { id: 'fifo', label: 'FIFO' },
+  { id: 'lifo', label: 'LIFO' },
+  { id: 'hifo', label: 'HIFO' },
+  { id: 'average', label: 'Average Cost' },
+  { id: 'specific', label: 'Specific ID' },
+];
+
+// Highest cost first means the highest entry price for longs and, mirrored, the lowest for shorts
+const pickHighestCost = (lots) => lots.reduce((best, lot, idx) => {
+  const current = lots[best];
+  const better = lot.direction === 'long' ? lot.price > current.price : lot.price < current.price;
+  return better ? idx : best;
+}, 0);
+
+const pickLotIndex = (lots, method, pinnedLotIds) => {
+  if (method === 'lifo') return lots.length - 1;
+  if (method === 'hifo') return pickHighestCost(lots);
+  if (method === 'specific') {
+    const pinned = pinnedLotIds.find(id => lots.some(lot => lot.orderId === id));
+    if (pinned) return lots.findIndex(lot => lot.orderId === pinned);
+  }
+  return 0;
+};
+
+// Average cost relieves every open lot at the blended price of the whole position
+const applyAverageCost = (lots) => {
+  const totalQty = lots.reduce((sum, lot) => sum + lot.qty, 0);
+  const totalCost = lots.reduce((sum, lot) => sum + lot.qty * lot.price, 0);
+  const avgPrice = totalQty > 0 ? totalCost / totalQty : 0;
+  lots.forEach(lot => { lot.price = avgPrice; });
+};
+
+const matchSymbol = (symbol, symbolOrders, method, lotSelections) => {
+  const lots = [];
+  const roundTrips = [];
+  const closings = [];
+
+  [...symbolOrders].sort(byFilledAt).forEach(order => {
+    const qty = parseFloat(order.filled_qty);
+    const price = parseFloat(order.filled_avg_price);
+    if (!(qty > 0)) return;
+
+    // A buy closes open shorts, a sell closes open longs; whatever is left opens a new lot.
+    // Open lots never mix directions, so checking the first one is enough.
+    const closes = order.side === 'buy' ? 'short' : 'long';
+    const opens = order.side === 'buy' ? 'long' : 'short';
+
+    let remaining = qty;
+    if (lots.length > 0 && lots[0].direction === closes) {
+      closings.push({
+        orderId: order.id,
+        symbol,
+        side: order.side,
+        qty,
+        price,
+        date: order.filled_at,
+        candidates: lots.map(({ qty: lotQty, price: lotPrice, date, orderId }) => ({ orderId, qty: lotQty, price: lotPrice, date })),
+      });
+
+      if (method === 'average') applyAverageCost(lots);
+    }
+
+    const pinnedLotIds = lotSelections[order.id] || [];
+
+    while (remaining > QTY_EPSILON && lots.length > 0 && lots[0].direction === closes) {
+      const lotIndex = pickLotIndex(lots, method, pinnedLotIds);
+      const lot = lots[lotIndex];
+      const matchQty = Math.min(remaining, lot.qty);
+
+      roundTrips.push(createRoundTrip({ symbol, lot, order, qty: matchQty, price }));
+
+      lot.qty -= matchQty;
+      remaining -= matchQty;
+
+      if (lot.qty <= QTY_EPSILON) {
+        lots.splice(lotIndex, 1);
+      }
+    }
+
+    if (remaining > QTY_EPSILON) {
+      lots.push({ direction: opens, qty: remaining, price, date: order.filled_at, orderId: order.id });
+    }
+  });
+
+  return {
+    roundTrips,
+    closings,
+    openLots: lots.map(({ direction, qty, price, date, orderId }) => ({ symbol, direction, qty, price, date, orderId })),
+  };
+};
+
+// Match filled orders into round trips, sorted by exit date.
+// lotSelections maps a closing order id to the lot (opening order) ids to relieve first
+// and is only read by the specific-ID method, which falls back to FIFO for anything unpinned.
+// With washSales, disallowed losses are deferred into the replacement shares' basis.
+export const matchRoundTrips = (orders = [], { method = 'fifo', lotSelections = {}, washSales = false } = {}) => {
+  let roundTrips = [];
+  const openLots = [];
+  const closings = [];
+
+  Object.entries(groupOrdersBySymbol(getFilledOrders(orders))).forEach(([symbol, symbolOrders]) => {
+    const result = matchSymbol(symbol, symbolOrders, method, lotSelections);
+    roundTrips.push(...result.roundTrips);
+    openLots.push(...result.openLots);
+    closings.push(...result.closings);
+  });
+
+  roundTrips.sort((a, b) => new Date(a.exitDate) - new Date(b.exitDate));
+  if (washSales) {
+    roundTrips = applyWashSales(roundTrips, getFilledOrders(orders));
+  }
+  closings.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return { roundTrips, openLots, closings };
+};
+
+// Economic P/L of a trade before any wash-sale deferral; wins and losses are judged on this
+export const getTradePL = (rt) => rt.unadjustedPL ?? rt.pl;
+
+// Per-symbol realized P/L and win/loss counts
+export const summarizeBySymbol = (roundTrips = []) => {
+  const stats = {};
+
+  roundTrips.forEach(rt => {
+    const current = stats[rt.symbol] || { realizedPL: 0, trades: 0, winCount: 0, lossCount: 0, winRate: 0 };
+    current.realizedPL += rt.pl;
+    current.trades += 1;
+    if (getTradePL(rt) >= 0) current.winCount += 1;
+    else current.lossCount += 1;
+    current.winRate = (current.winCount / current.trades) * 100;
+    stats[rt.symbol] = current;
+  });
+
+  return stats;
+};
+
+// Win rate, expectancy and P/L of a group of round trips, judged on each trade's own outcome
+export const summarizeTrades = (roundTrips = []) => {
+  const winners = roundTrips.filter(rt => getTradePL(rt) >= 0);
+  const losers = roundTrips.filter(rt => getTradePL(rt) < 0);
+  const totalWins = winners.reduce((sum, rt) => sum + getTradePL(rt), 0);
+  const totalLosses = Math.abs(losers.reduce((sum, rt) => sum + getTradePL(rt), 0));
+  const winRate = roundTrips.length > 0 ? (winners.length / roundTrips.length) * 100 : 0;
+  const avgWin = winners.length > 0 ? totalWins / winners.length : 0;
+  const avgLoss = losers.length > 0 ? totalLosses / losers.length : 0;
+
+  return {
+    trades: roundTrips.length,
+    winners: winners.length,
+    losers: losers.length,
+    winRate,
+    totalPL: roundTrips.reduce((sum, rt) => sum + rt.pl, 0),
+    avgWin,
+    avgLoss,
+    expectancy: roundTrips.length > 0 ? (winRate / 100 * avgWin) - ((100 - winRate) / 100 * avgLoss) : 0,
+    profitFactor: totalLosses > 0 ? totalWins / totalLosses : totalWins > 0 ? Infinity : 0,
+  };
+};
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { matchRoundTrips, getFilledOrders, summarizeTrades, LOT_METHODS } from './tradeMatching';
+import { fill, PARTIAL_FILLS, SHORTS, FLIP_LONG_TO_SHORT, SCALE_IN_OUT } from './__fixtures__/orders';
+
+const totalPL = (roundTrips) => roundTrips.reduce((sum, rt) => sum + rt.pl, 0);
+
+describe('getFilledOrders', () => {
+  it('keeps orders with any filled quantity, whatever their final status', () => {
+    expect(getFilledOrders(PARTIAL_FILLS).map(o => o.id)).toEqual(['b1', 's1', 's2']);
+  });
+});
+
+describe('matchRoundTrips', () => {
+  it('matches partial fills, including an order canceled after it partly filled', () => {
+    const { roundTrips, openLots } = matchRoundTrips(PARTIAL_FILLS);
+
+    expect(roundTrips).toHaveLength(2);
+    expect(roundTrips[0]).toMatchObject({ id: 'b1-s1', qty: 40, direction: 'long', pl: 400 });
+    expect(roundTrips[1]).toMatchObject({ id: 'b1-s2', qty: 60, direction: 'long', pl: 300 });
+    expect(openLots).toEqual([]);
+  });
+
+  it('leaves the unsold part of a lot open', () => {
+    const { openLots } = matchRoundTrips(PARTIAL_FILLS.slice(0, 2));
+    expect(openLots).toEqual([
+      { symbol: 'AAPL', direction: 'long', qty: 60, price: 150, date: '2024-01-02T15:00:00Z', orderId: 'b1' },
+    ]);
+  });
+
+  it('tracks shorts with the sell as entry and the covering buy as exit', () => {
+    const { roundTrips } = matchRoundTrips(SHORTS);
+
+    expect(roundTrips).toHaveLength(2);
+    expect(roundTrips[0]).toMatchObject({
+      direction: 'short',
+      qty: 30,
+      entryPrice: 200,
+      exitPrice: 180,
+      buyPrice: 180,
+      sellPrice: 200,
+      pl: 600,
+      entryOrderId: 'ss1',
+      exitOrderId: 'bc1',
+      entryDate: '2024-02-01T15:00:00Z',
+      exitDate: '2024-02-05T15:00:00Z',
+    });
+    expect(roundTrips[0].plPercent).toBeCloseTo(10);
+    expect(roundTrips[1]).toMatchObject({ direction: 'short', qty: 20, pl: -200 });
+    expect(roundTrips[1].plPercent).toBeCloseTo(-5);
+  });
+
+  it('closes a long and opens a short when a sell is bigger than the position', () => {
+    const { roundTrips, openLots } = matchRoundTrips(FLIP_LONG_TO_SHORT);
+
+    expect(roundTrips.map(rt => [rt.direction, rt.qty, rt.pl])).toEqual([
+      ['long', 10, 100],
+      ['short', 15, 75],
+    ]);
+    expect(openLots).toEqual([]);
+  });
+
+  it('relieves scale-ins first in, first out by default', () => {
+    const { roundTrips, openLots } = matchRoundTrips(SCALE_IN_OUT);
+
+    expect(roundTrips.map(rt => [rt.entryOrderId, rt.exitOrderId, rt.qty, rt.pl])).toEqual([
+      ['b1', 's1', 10, 100],
+      ['b2', 's1', 5, -50],
+      ['b2', 's2', 5, 50],
+      ['b3', 's2', 5, 200],
+    ]);
+    expect(openLots.map(lot => [lot.orderId, lot.qty])).toEqual([['b3', 5]]);
+  });
+
+  it('records each closing order with the lots it could have relieved', () => {
+    const { closings } = matchRoundTrips(SCALE_IN_OUT);
+
+    expect(closings.map(c => c.orderId)).toEqual(['s1', 's2']);
+    expect(closings[0].candidates.map(lot => [lot.orderId, lot.qty])).toEqual([['b1', 10], ['b2', 10], ['b3', 10]]);
+    expect(closings[1].candidates.map(lot => [lot.orderId, lot.qty])).toEqual([['b2', 5], ['b3', 10]]);
+  });
+
+  it('matches each symbol separately and sorts round trips by exit date', () => {
+    const { roundTrips } = matchRoundTrips([...SCALE_IN_OUT, ...SHORTS, ...PARTIAL_FILLS]);
+
+    expect(roundTrips.map(rt => rt.symbol)).toEqual(['AAPL', 'AAPL', 'TSLA', 'TSLA', 'NVDA', 'NVDA', 'NVDA', 'NVDA']);
+    expect(totalPL(roundTrips)).toBeCloseTo(700 + 400 + 300);
+  });
+
+  it('does not depend on the order the API returned the orders in', () => {
+    const forward = matchRoundTrips(SCALE_IN_OUT).roundTrips;
+    const reversed = matchRoundTrips([...SCALE_IN_OUT].reverse()).roundTrips;
+    expect(reversed).toEqual(forward);
+  });
+
+  it('treats fractional dust as fully consumed', () => {
+    const { roundTrips, openLots } = matchRoundTrips([
+      fill('b1', 'SPY', 'buy', 0.1, 500, '2024-05-01T15:00:00Z'),
+      fill('b2', 'SPY', 'buy', 0.2, 500, '2024-05-02T15:00:00Z'),
+      fill('s1', 'SPY', 'sell', 0.30000000000000004, 510, '2024-05-03T15:00:00Z'),
+    ]);
+
+    expect(roundTrips).toHaveLength(2);
+    expect(openLots).toEqual([]);
+  });
+});
+
+describe('lot relief methods', () => {
+  const relieved = (method, options = {}) =>
+    matchRoundTrips(SCALE_IN_OUT, { method, ...options }).roundTrips.map(rt => [rt.entryOrderId, rt.exitOrderId, rt.qty]);
+
+  it('relieves the newest lot first under LIFO', () => {
+    expect(relieved('lifo')).toEqual([
+      ['b3', 's1', 10],
+      ['b2', 's1', 5],
+      ['b2', 's2', 5],
+      ['b1', 's2', 5],
+    ]);
+    expect(totalPL(matchRoundTrips(SCALE_IN_OUT, { method: 'lifo' }).roundTrips)).toBeCloseTo(350);
+  });
+
+  it('relieves the highest-cost lot first under HIFO', () => {
+    expect(relieved('hifo')).toEqual([
+      ['b2', 's1', 10],
+      ['b1', 's1', 5],
+      ['b1', 's2', 5],
+      ['b3', 's2', 5],
+    ]);
+    expect(totalPL(matchRoundTrips(SCALE_IN_OUT, { method: 'hifo' }).roundTrips)).toBeCloseTo(300);
+  });
+
+  it('treats the lowest short sale price as the highest cost under HIFO', () => {
+    const orders = [
+      fill('ss1', 'TSLA', 'sell', 10, 200, '2024-02-01T15:00:00Z'),
+      fill('ss2', 'TSLA', 'sell', 10, 190, '2024-02-02T15:00:00Z'),
+      fill('bc1', 'TSLA', 'buy', 10, 195, '2024-02-03T15:00:00Z'),
+    ];
+
+    expect(matchRoundTrips(orders, { method: 'hifo' }).roundTrips[0]).toMatchObject({ entryOrderId: 'ss2', pl: -50 });
+    expect(matchRoundTrips(orders).roundTrips[0]).toMatchObject({ entryOrderId: 'ss1', pl: 50 });
+  });
+
+  it('relieves every lot at the blended cost under average cost', () => {
+    const { roundTrips, openLots } = matchRoundTrips(SCALE_IN_OUT, { method: 'average' });
+    const avgCost = 3100 / 30;
+
+    roundTrips.forEach(rt => expect(rt.entryPrice).toBeCloseTo(avgCost));
+    expect(totalPL(roundTrips)).toBeCloseTo(15 * 110 + 10 * 130 - 25 * avgCost);
+    expect(openLots).toHaveLength(1);
+    expect(openLots[0].qty).toBe(5);
+    expect(openLots[0].price).toBeCloseTo(avgCost);
+  });
+
+  it('relieves pinned lots first under specific ID and falls back to FIFO', () => {
+    expect(relieved('specific', { lotSelections: { s1: ['b3'] } })).toEqual([
+      ['b3', 's1', 10],
+      ['b1', 's1', 5],
+      ['b1', 's2', 5],
+      ['b2', 's2', 5],
+    ]);
+    expect(relieved('specific')).toEqual(relieved('fifo'));
+  });
+
+  it('ignores pins on lots that are no longer open', () => {
+    expect(relieved('specific', { lotSelections: { s2: ['b1'] } })).toEqual(relieved('fifo'));
+  });
+
+  it('realizes the same total once every lot is closed, whatever the method', () => {
+    const closed = [...SCALE_IN_OUT, fill('s3', 'NVDA', 'sell', 5, 100, '2024-04-08T15:00:00Z')];
+    const totals = LOT_METHODS.map(({ id }) => totalPL(matchRoundTrips(closed, { method: id }).roundTrips));
+
+    totals.forEach(total => expect(total).toBeCloseTo(totals[0]));
+  });
+});
+
+describe('summarizeTrades', () => {
+  it('computes win rate, expectancy and profit factor', () => {
+    const summary = summarizeTrades(matchRoundTrips(SCALE_IN_OUT).roundTrips);
+
+    expect(summary).toMatchObject({ trades: 4, winners: 3, losers: 1, winRate: 75, totalPL: 300, avgLoss: 50 });
+    expect(summary.avgWin).toBeCloseTo(350 / 3);
+    expect(summary.expectancy).toBeCloseTo(0.75 * (350 / 3) - 0.25 * 50);
+    expect(summary.profitFactor).toBeCloseTo(7);
+  });
+
+  it('returns zeros for no trades', () => {
+    expect(summarizeTrades([])).toMatchObject({ trades: 0, winRate: 0, expectancy: 0, profitFactor: 0 });
+  });
+});
@@ -0,0 +1,133 @@
+// Wash-sale rule for long round trips: a loss is disallowed when shares of the same symbol
+// are bought within 30 days before or after the sale. The disallowed loss moves into the
+// replacement shares' basis and comes back when those shares are sold, and the replacement
+// shares' holding period starts as far before their purchase as the sold shares were held.
+// Short-sale wash rules are not modeled.
+
+const WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const QTY_EPSILON = 1e-9;
+
+const time = (value) => new Date(value).getTime();
+
+// Shares each buy order opened as a long position (buys that covered shorts don't count)
+const getLongOpenedQty = (orders, roundTrips) => {
+  const coveredQty = new Map();
+  roundTrips
+    .filter(rt => rt.direction === 'short')
+    .forEach(rt => coveredQty.set(rt.exitOrderId, (coveredQty.get(rt.exitOrderId) || 0) + rt.qty));
+
+  const opened = new Map();
+  orders
+    .filter(o => parseFloat(o.filled_qty) > 0 && o.side === 'buy')
+    .forEach(o => opened.set(o.id, parseFloat(o.filled_qty) - (coveredQty.get(o.id) || 0)));
+  return opened;
+};
+
+// roundTrips must be sorted by exit date; returns new round trips with adjusted cost and pl.
+// holdingPeriodStart is set on replacement shares whose holding period was extended.
+export const applyWashSales = (roundTrips = [], orders = []) => {
+  const buysBySymbol = {};
+  orders
+    .filter(o => parseFloat(o.filled_qty) > 0 && o.side === 'buy')
+    .forEach(o => {
+      if (!buysBySymbol[o.symbol]) buysBySymbol[o.symbol] = [];
+      buysBySymbol[o.symbol].push(o);
+    });
+  Object.values(buysBySymbol).forEach(list => list.sort((a, b) => time(a.filled_at) - time(b.filled_at)));
+
+  // Lots relieved by each closing order; shares sold by that order are not their own replacement
+  const lotsByExitOrder = new Map();
+  roundTrips.forEach(rt => {
+    if (!lotsByExitOrder.has(rt.exitOrderId)) lotsByExitOrder.set(rt.exitOrderId, new Set());
+    lotsByExitOrder.get(rt.exitOrderId).add(rt.entryOrderId);
+  });
+
+  const longOpened = getLongOpenedQty(orders, roundTrips);
+  const pendingAdjustments = new Map(); // buy order id -> [{ qty, perShare, holdingPeriodStart }]
+  const closedQty = new Map(); // buy order id -> shares closed so far
+
+  // Defer a losing piece's loss onto replacement shares, handing them its holding period too
+  const deferLoss = (rt) => {
+    const soldLots = lotsByExitOrder.get(rt.exitOrderId);
+    const saleTime = time(rt.exitDate);
+    const heldMs = saleTime - time(rt.holdingPeriodStart ?? rt.entryDate);
+    const lossPerShare = -rt.pl / rt.qty;
+    let remaining = rt.qty;
+
+    (buysBySymbol[rt.symbol] || []).forEach(buy => {
+      if (remaining <= QTY_EPSILON || soldLots.has(buy.id)) return;
+      if (Math.abs(time(buy.filled_at) - saleTime) > WINDOW_MS) return;
+
+      // Still-held shares of this buy that aren't already carrying a deferred loss
+      if (!pendingAdjustments.has(buy.id)) pendingAdjustments.set(buy.id, []);
+      const buyPending = pendingAdjustments.get(buy.id);
+      const available = (longOpened.get(buy.id) || 0)
+        - (closedQty.get(buy.id) || 0)
+        - buyPending.reduce((sum, chunk) => sum + chunk.qty, 0);
+      if (available <= QTY_EPSILON) return;
+
+      const qty = Math.min(remaining, available);
+      buyPending.push({
+        qty,
+        perShare: lossPerShare,
+        holdingPeriodStart: new Date(time(buy.filled_at) - heldMs).toISOString(),
+      });
+
+      rt.disallowedLoss += qty * lossPerShare;
+      remaining -= qty;
+    });
+
+    if (rt.disallowedLoss > 0) {
+      rt.washSale = true;
+      rt.pl += rt.disallowedLoss;
+    }
+  };
+
+  return roundTrips.flatMap(original => {
+    const base = { ...original, unadjustedPL: original.pl, basisAdjustment: 0, disallowedLoss: 0, washSale: false, holdingPeriodStart: null };
+
+    if (original.direction !== 'long') return [base];
+
+    // Carry in any loss deferred onto these shares by an earlier wash sale. Shares carrying
+    // different holding periods become separate round trips so each gets its own term.
+    const pending = pendingAdjustments.get(original.entryOrderId) || [];
+    const segments = [];
+    let toAdjust = original.qty;
+    while (toAdjust > QTY_EPSILON && pending.length > 0) {
+      const chunk = pending[0];
+      const qty = Math.min(toAdjust, chunk.qty);
+      const segment = segments.find(seg => seg.holdingPeriodStart === chunk.holdingPeriodStart);
+      if (segment) {
+        segment.qty += qty;
+        segment.basisAdjustment += qty * chunk.perShare;
+      } else {
+        segments.push({ qty, basisAdjustment: qty * chunk.perShare, holdingPeriodStart: chunk.holdingPeriodStart });
+      }
+      chunk.qty -= qty;
+      toAdjust -= qty;
+      if (chunk.qty <= QTY_EPSILON) pending.shift();
+    }
+    if (toAdjust > QTY_EPSILON) segments.push({ qty: toAdjust, basisAdjustment: 0, holdingPeriodStart: null });
+
+    closedQty.set(original.entryOrderId, (closedQty.get(original.entryOrderId) || 0) + original.qty);
+
+    return segments.map((segment, idx) => {
+      const ratio = segment.qty / original.qty;
+      const rt = {
+        ...base,
+        id: idx === 0 ? original.id : `${original.id}-${idx}`,
+        qty: segment.qty,
+        cost: original.cost * ratio + segment.basisAdjustment,
+        revenue: original.revenue * ratio,
+        unadjustedPL: original.pl * ratio,
+        basisAdjustment: segment.basisAdjustment,
+        holdingPeriodStart: segment.holdingPeriodStart,
+      };
+      rt.pl = rt.revenue - rt.cost;
+
+      if (rt.pl < 0) deferLoss(rt);
+      rt.plPercent = rt.cost > 0 ? (rt.pl / rt.cost) * 100 : 0;
+      return rt;
+    });
+  });
+};
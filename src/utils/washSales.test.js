@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { matchRoundTrips } from './tradeMatching';
+import { buildTaxLots } from './taxReport';
+import {
+  SHORTS,
+  WASH_SALE,
+  NO_WASH_SALE,
+  WASH_SALE_LONG_TERM,
+  WASH_SALE_PARTIAL_REPLACEMENT,
+} from './__fixtures__/orders';
+
+const withWashSales = (orders) => matchRoundTrips(orders, { washSales: true }).roundTrips;
+
+describe('applyWashSales', () => {
+  it('disallows the part of a loss covered by a repurchase within 30 days', () => {
+    const [loss] = withWashSales(WASH_SALE);
+
+    expect(loss).toMatchObject({ id: 'b1-s1', washSale: true, disallowedLoss: 600, unadjustedPL: -1000, pl: -400 });
+  });
+
+  it('adds the disallowed loss to the replacement shares and brings it back when they are sold', () => {
+    const [, replacement] = withWashSales(WASH_SALE);
+
+    expect(replacement).toMatchObject({ id: 'b2-s2', basisAdjustment: 600, cost: 3120, unadjustedPL: 180, pl: -420 });
+    expect(withWashSales(WASH_SALE).reduce((sum, rt) => sum + rt.pl, 0))
+      .toBeCloseTo(matchRoundTrips(WASH_SALE).roundTrips.reduce((sum, rt) => sum + rt.pl, 0));
+  });
+
+  it('starts the replacement holding period as long before its purchase as the sold shares were held', () => {
+    const [, replacement] = withWashSales(WASH_SALE);
+
+    // Jan 2 to Mar 1 is 59 days, so shares bought Mar 15 count as held since Jan 16
+    expect(replacement.holdingPeriodStart).toBe('2024-01-16T15:00:00.000Z');
+  });
+
+  it('reports replacement shares as long-term once the carried holding period passes a year', () => {
+    const lots = buildTaxLots(withWashSales(WASH_SALE_LONG_TERM));
+    const withoutWashSales = buildTaxLots(matchRoundTrips(WASH_SALE_LONG_TERM).roundTrips);
+
+    expect(lots[1]).toMatchObject({ term: 'long', dateAcquired: '2023-01-17T15:00:00.000Z', adjustment: 0 });
+    expect(withoutWashSales[1].term).toBe('short');
+  });
+
+  it('splits a sale when only some of its shares are replacements', () => {
+    const [, replacement, rest] = withWashSales(WASH_SALE_PARTIAL_REPLACEMENT);
+
+    expect(replacement).toMatchObject({ id: 'b2-s2', qty: 60, basisAdjustment: 600, holdingPeriodStart: '2024-01-16T15:00:00.000Z' });
+    expect(rest).toMatchObject({ id: 'b2-s2-1', qty: 40, basisAdjustment: 0, holdingPeriodStart: null, entryDate: '2024-03-15T15:00:00Z' });
+    expect(rest.pl).toBeCloseTo(120);
+  });
+
+  it('leaves losses alone without a repurchase in the window', () => {
+    const [loss] = withWashSales(NO_WASH_SALE);
+
+    expect(loss).toMatchObject({ washSale: false, disallowedLoss: 0, pl: -1000 });
+  });
+
+  it('does not apply to short sales', () => {
+    expect(withWashSales(SHORTS).every(rt => !rt.washSale && rt.pl === rt.unadjustedPL)).toBe(true);
+  });
+});